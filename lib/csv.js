@@ -0,0 +1,62 @@
+// lib/csv.js
+// CSV reading / writing for employee import and the report exports
+
+// RFC 4180-style parser: quoted fields, escaped quotes, CRLF, leading BOM
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // drop blank lines
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let str = value instanceof Date ? value.toISOString() : String(value);
+
+  // keep spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@]/.test(str)) str = "'" + str;
+
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCsv(header, rows) {
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,97 @@
+// lib/diff.js
+// Line / word diff used to compare SOP revisions
+
+export const MAX_DIFF_CELLS = 4_000_000;
+
+function tokenizeForDiff(text, mode) {
+  if (mode === "word") return (text || "").split(/(\s+)/).filter(Boolean);
+  return (text || "").split(/\r?\n/);
+}
+
+/*
+  LCS diff over lines or words.
+  Returns [{ type: "equal" | "added" | "removed", tokens: [...] }]
+  or null when the changed region is too large to diff.
+*/
+export function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) return null;
+
+  // table[i][j] = LCS length of midA[i..] and midB[j..]
+  const w = m + 1;
+  const table = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * w + j] =
+        midA[i] === midB[j]
+          ? table[(i + 1) * w + j + 1] + 1
+          : Math.max(table[(i + 1) * w + j], table[i * w + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, token) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.tokens.push(token);
+    else ops.push({ type, tokens: [token] });
+  };
+
+  a.slice(0, start).forEach((t) => push("equal", t));
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      push("equal", midA[i]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * w + j] >= table[i * w + j + 1]) {
+      push("removed", midA[i++]);
+    } else {
+      push("added", midB[j++]);
+    }
+  }
+  while (i < n) push("removed", midA[i++]);
+  while (j < m) push("added", midB[j++]);
+
+  a.slice(endA).forEach((t) => push("equal", t));
+
+  return ops;
+}
+
+export function diffSopRevisions(from, to, mode = "line") {
+  const ops = diffTokens(
+    tokenizeForDiff(from.content, mode),
+    tokenizeForDiff(to.content, mode)
+  );
+  if (!ops) return null;
+
+  const separator = mode === "word" ? "" : "\n";
+  const countable = (tokens) =>
+    mode === "word" ? tokens.filter((t) => t.trim()).length : tokens.length;
+
+  return {
+    mode,
+    from: from.revision,
+    to: to.revision,
+    titleChanged: from.title !== to.title,
+    deptChanged: from.dept !== to.dept,
+    added: ops.filter((o) => o.type === "added").reduce((n, o) => n + countable(o.tokens), 0),
+    removed: ops.filter((o) => o.type === "removed").reduce((n, o) => n + countable(o.tokens), 0),
+    hunks: ops.map((o) => ({ type: o.type, value: o.tokens.join(separator) })),
+  };
+}
@@ -0,0 +1,73 @@
+// lib/quiz.js
+// Quiz validation and grading; kept free of database access so it can be tested on its own
+
+// Quiz as sent to employees: never include the correct answers
+export function publicQuiz(video) {
+  return (video.quiz || []).map((q) => ({
+    _id: q._id,
+    question: q.question,
+    options: q.options,
+  }));
+}
+
+// Validates an admin-supplied quiz; returns an error message or null
+export function validateQuiz(quiz) {
+  if (!Array.isArray(quiz)) return "Quiz must be an array";
+
+  for (const [i, q] of quiz.entries()) {
+    if (!q || !q.question) return `Question ${i + 1} is missing its text`;
+    if (!Array.isArray(q.options) || q.options.length < 2)
+      return `Question ${i + 1} needs at least two options`;
+    if (!q.options.includes(q.correct))
+      return `Question ${i + 1}: correct answer must be one of the options`;
+  }
+
+  return null;
+}
+
+// passMark / maxAttempts from a create or update body; returns an error message or null
+export function validateQuizSettings({ passMark, maxAttempts }) {
+  if (passMark !== undefined && (typeof passMark !== "number" || passMark < 0 || passMark > 100))
+    return "passMark must be between 0 and 100";
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 0))
+    return "maxAttempts must be 0 (unlimited) or more";
+  return null;
+}
+
+/*
+  Accepts either
+    [{ questionId, answer }]  or  ["answer for q1", "answer for q2", ...]
+  and grades it against the stored quiz.
+*/
+export function gradeQuiz(video, answers = []) {
+  const quiz = video.quiz || [];
+
+  const byId = {};
+  answers.forEach((a, i) => {
+    if (typeof a === "string") {
+      if (quiz[i]) byId[quiz[i]._id.toString()] = a;
+    } else if (a && a.questionId) {
+      byId[String(a.questionId)] = a.answer;
+    }
+  });
+
+  const results = quiz.map((q) => {
+    const answer = byId[q._id.toString()];
+    return {
+      questionId: q._id.toString(),
+      answer: answer ?? null,
+      correct: answer != null && String(answer).trim() === String(q.correct).trim(),
+    };
+  });
+
+  const correctCount = results.filter((r) => r.correct).length;
+  const score = quiz.length ? Math.round((correctCount / quiz.length) * 100) : 0;
+
+  return {
+    answers: results,
+    correctCount,
+    totalQuestions: quiz.length,
+    score,
+    passed: score >= (video.passMark ?? 70),
+  };
+}
@@ -0,0 +1,35 @@
+// lib/signing.js
+// HMAC helpers for signed certificates and file links
+import crypto from "crypto";
+
+export function hmacHex(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+// Constant-time check of a hex signature
+export function signatureMatches(secret, payload, signature) {
+  const expected = Buffer.from(hmacHex(secret, payload), "hex");
+  const given = Buffer.from(String(signature || ""), "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Canonical, order-stable representation of the signed certificate fields
+export function certificatePayload(cert) {
+  return JSON.stringify([
+    cert.certificateId,
+    cert.orgId,
+    cert.organizationName,
+    String(cert.employeeId),
+    cert.employeeName,
+    cert.contentType,
+    String(cert.contentId),
+    cert.contentTitle,
+    cert.revision ?? null,
+    new Date(cert.issuedAt).toISOString(),
+  ]);
+}
+
+// Signed form of a stored file key; expires = unix seconds for download links, "stored" for the form kept in Mongo
+export function fileKeyPayload(key, expires) {
+  return `${key}:${expires}`;
+}
@@ -0,0 +1,31 @@
+// lib/watch.js
+// Watch-time bookkeeping for training playback heartbeats
+
+export function validateWatchRequirement({ durationSec, minWatchRatio }) {
+  if (durationSec !== undefined && durationSec !== null && !(typeof durationSec === "number" && durationSec > 0))
+    return "durationSec must be a positive number";
+  if (minWatchRatio !== undefined && !(typeof minWatchRatio === "number" && minWatchRatio >= 0 && minWatchRatio <= 1))
+    return "minWatchRatio must be between 0 and 1";
+  return null;
+}
+
+// Union of intervals, clamped to [0, duration]
+export function mergeSegments(segments, duration) {
+  const sorted = segments
+    .map((s) => ({ start: Math.max(0, s.start), end: duration ? Math.min(duration, s.end) : s.end }))
+    .filter((s) => s.end > s.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const seg of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && seg.start <= last.end) last.end = Math.max(last.end, seg.end);
+    else merged.push({ ...seg });
+  }
+  return merged;
+}
+
+// Unique seconds covered by already merged segments
+export function watchedSecondsOf(segments) {
+  return segments.reduce((sum, s) => sum + (s.end - s.start), 0);
+}
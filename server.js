@@ -13,8 +13,17 @@ import crypto from "crypto";
 import http from "http";
 import { Server } from "socket.io";
 import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
 import fs from "fs";
 import path from "path";
+import os from "os";
+import multer from "multer";
+import nodemailer from "nodemailer";
+import { publicQuiz, validateQuiz, validateQuizSettings, gradeQuiz } from "./lib/quiz.js";
+import { diffSopRevisions } from "./lib/diff.js";
+import { parseCsv, toCsv } from "./lib/csv.js";
+import { validateWatchRequirement, mergeSegments, watchedSecondsOf } from "./lib/watch.js";
+import { hmacHex, signatureMatches, certificatePayload, fileKeyPayload } from "./lib/signing.js";
 
 dotenv.config();
 
@@ -28,14 +37,158 @@ const io = new Server(server, {
   cors: { origin: "*" },
 });
 
+/*
+  Sockets authenticate with the same Firebase ID token as the REST API
+  (handshake `auth.token`, or an Authorization header) and join rooms:
+    org:<orgId>:admins     org admins and owners - the organization feed
+    org:<orgId>:employees  every employee of the organization
+    employee:<uid>         one employee's own events
+    user:<uid>             every socket of one user (notifications)
+  Delivery follows the org's settings.websocket (see WEBSOCKET RUNTIME SETTINGS).
+*/
+const orgAdminRoom = (orgId) => `org:${orgId}:admins`;
+const orgEmployeeRoom = (orgId) => `org:${orgId}:employees`;
+const employeeRoom = (uid) => `employee:${uid}`;
+const userRoom = (uid) => `user:${uid}`;
+
+async function resolveSocketIdentity(decoded) {
+  const emp = await Employee.findOne({ firebaseUid: decoded.user_id });
+
+  if (emp) {
+    if (emp.status === "deactivated") throw new Error("Account deactivated");
+    return {
+      uid: emp.firebaseUid,
+      orgId: emp.orgId,
+      employeeId: emp._id,
+      name: emp.name,
+      dept: emp.dept,
+      isEmployee: true,
+      isAdmin: emp.role === "owner",
+    };
+  }
+
+  const user = await User.findOne({ firebaseUid: decoded.user_id });
+  if (!user?.orgId || user.role !== "admin") throw new Error("Not part of an organization");
+
+  return { uid: user.firebaseUid, orgId: user.orgId, isEmployee: false, isAdmin: true };
+}
+
+io.use(async (socket, next) => {
+  const header = socket.handshake.headers.authorization || "";
+  const token = socket.handshake.auth?.token || (header.startsWith("Bearer ") ? header.split(" ")[1] : null);
+  if (!token) return next(new Error("Missing token"));
+
+  let decoded;
+  try {
+    decoded = await verifyFirebaseToken(token);
+  } catch {
+    return next(new Error("Invalid token"));
+  }
+
+  try {
+    socket.data.identity = await resolveSocketIdentity(decoded);
+
+    const websocket = await getWebsocketSettings(socket.data.identity.orgId);
+    if (!websocket.enabled) return next(new Error("WebSockets are disabled for this organization"));
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 /* Socket Connected */
-io.on("connection", (socket) => {
-  console.log("🔵 WebSocket connected:", socket.id);
+io.on("connection", async (socket) => {
+  const { uid, orgId, isEmployee, isAdmin } = socket.data.identity;
+
+  socket.join(userRoom(uid));
+  if (isAdmin) socket.join(orgAdminRoom(orgId));
+  if (isEmployee) socket.join([orgEmployeeRoom(orgId), employeeRoom(uid)]);
+
+  markPresent(socket);
+  socket.onAny(() => markSeen(socket));
+  socket.conn.on("heartbeat", () => markSeen(socket)); // engine.io ping/pong
+  socket.on("presence:viewing", (viewing) => markViewing(socket, viewing));
+  socket.on("disconnect", () => {
+    clearInterval(socket.data.heartbeat);
+    markGone(socket);
+  });
+
+  console.log("🔵 WebSocket connected:", socket.id, uid);
+
+  try {
+    const { heartbeatIntervalSec } = await getWebsocketSettings(orgId);
+    if (socket.connected) startHeartbeat(socket, heartbeatIntervalSec);
+  } catch (err) {
+    console.error("Socket heartbeat error:", err);
+  }
 });
 
-/* Emit helper */
-function emitToOwner(ownerId, event, data) {
-  io.emit(`${ownerId}:${event}`, data);
+/* Emit helpers */
+// Organization feed for admins; event names keep the org prefix clients listen for
+function emitToOrg(orgId, event, data) {
+  deliverEvent(orgId, "admins", () => io.to(orgAdminRoom(orgId)).emit(`${orgId}:${event}`, presignPayload(data)));
+}
+
+// Events for a single employee (by firebaseUid)
+function emitToEmployee(orgId, uid, event, data) {
+  if (!uid) return;
+  deliverEvent(orgId, "employees", () => io.to(employeeRoom(uid)).emit(event, presignPayload(data)));
+}
+
+// Socket payloads get the same short-lived file links as API responses
+function presignPayload(data) {
+  const text = JSON.stringify(data);
+  return text === undefined ? data : JSON.parse(presignFileUrls(text));
+}
+
+// Emits only while websockets are enabled and broadcastMode includes the audience
+function deliverEvent(orgId, audience, emit) {
+  getWebsocketSettings(orgId)
+    .then((websocket) => {
+      if (!websocket.enabled) return;
+      if (websocket.broadcastMode !== "all" && websocket.broadcastMode !== audience) return;
+      emit();
+    })
+    .catch((err) => console.error("Socket emit error:", err));
+}
+
+// Pushes and notifies a new SOP / training assignment to the employee
+function announceAssignment(emp, contentType, item) {
+  emitToEmployee(emp.orgId, emp.firebaseUid, "assignment:new", {
+    contentType,
+    contentId: item._id,
+    title: item.title,
+  });
+
+  const label = contentType === "sop" ? "SOP" : "training";
+  notify(emp.orgId, contentType === "sop" ? "sopUpdates" : "trainingUpdates", [employeeRecipient(emp)], {
+    event: "assignment:new",
+    title: `New ${label}: ${item.title}`,
+    body: `You have been assigned the ${label} "${item.title}".`,
+    data: { contentType, contentId: item._id },
+  });
+}
+
+// Announces content to the employees a create or edit just assigned it to.
+// `before` is the assignee list prior to the change; SOP pending counts are
+// refreshed for added and removed employees alike.
+async function announceAssigneeChanges(contentType, item, before = []) {
+  const field = contentType === "sop" ? "assignedTo" : "assignedEmployees";
+  const key = contentType === "sop" ? "_id" : "firebaseUid";
+
+  const previous = new Set(before.map(String));
+  const current = (item[field] || []).map(String);
+  const added = current.filter((id) => !previous.has(id));
+  const removed = [...previous].filter((id) => !current.includes(id));
+  if (!added.length && !removed.length) return;
+
+  const employees = await Employee.find({ orgId: item.orgId, [key]: { $in: [...added, ...removed] } });
+
+  for (const emp of employees) {
+    if (contentType === "sop") await refreshPendingSOPs(emp);
+    if (added.includes(String(emp[key]))) announceAssignment(emp, contentType, item);
+  }
 }
 
 /* ----------------------------------------
@@ -59,53 +212,414 @@ if (!process.env.FIREBASE_PROJECT_ID) {
   process.exit(1);
 }
 
-export const uploadFile = async (localPath) => {
+/* ----------------------------------------
+   FILE STORAGE (pluggable)
+   STORAGE_DRIVER=cloudinary → Cloudinary (default when CLOUDINARY_CLOUD_NAME is set)
+   STORAGE_DRIVER=local      → STORAGE_LOCAL_DIR on disk, served by the signed
+                               GET /api/files/* route (needs STORAGE_SIGNING_SECRET)
+   Every backend implements put(localPath, { folder, filename, contentType }) → { key, url }
+   and remove(key).
+
+   Local URLs saved in Mongo carry a "stored" signature that the files route
+   does not accept; API responses swap them for links that expire after
+   FILE_LINK_TTL_SEC (see presignFileUrls).
+---------------------------------------- */
+const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET;
+const FILE_LINK_TTL_SEC = 60 * 60;
+
+// Local files get their extension from the validated content type, never from
+// the client's filename; anything else is stored (and served) as .bin
+const STORED_FILE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+  "text/plain": "txt",
+  "application/msword": "doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "application/vnd.ms-excel": "xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov",
+  "audio/mpeg": "mp3",
+};
+
+const storageBackends = {
+  cloudinary: {
+    async put(localPath, { folder }) {
+      const result = await cloudinary.uploader.upload(localPath, {
+        folder: `hibonos/${folder}`,
+        resource_type: "auto",
+      });
+      return { key: `${result.resource_type}:${result.public_id}`, url: result.secure_url };
+    },
+
+    async remove(key) {
+      const [resourceType, publicId] = key.split(/:(.*)/s);
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+    },
+  },
+
+  local: {
+    root() {
+      return path.resolve(process.env.STORAGE_LOCAL_DIR || "storage");
+    },
+
+    async put(localPath, { folder, filename, contentType }) {
+      const baseName = path.parse(path.basename(filename || localPath)).name;
+      const safeName = baseName.replace(/[^a-z0-9_-]/gi, "_").slice(0, 80) || "file";
+      const ext = STORED_FILE_EXTENSIONS[contentType] || "bin";
+      const key = path.posix.join(folder, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}-${safeName}.${ext}`);
+      const target = path.join(this.root(), key);
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(localPath, target);
+
+      return { key, url: signedFileUrl(key) };
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveLocalFile(key), { force: true });
+    },
+  },
+};
+
+function storageDriverName() {
+  return process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+}
+
+if (storageDriverName() === "local" && !STORAGE_SIGNING_SECRET) {
+  console.error("Missing STORAGE_SIGNING_SECRET (required by the local storage driver)");
+  process.exit(1);
+}
+
+function getStorage() {
+  const backend = storageBackends[storageDriverName()];
+  if (!backend) throw new Error(`Unknown storage driver "${storageDriverName()}"`);
+  return backend;
+}
+
+function storageSigningSecret() {
+  if (!STORAGE_SIGNING_SECRET) throw new Error("STORAGE_SIGNING_SECRET is not set");
+  return STORAGE_SIGNING_SECRET;
+}
+
+// expires = unix seconds for download links, "stored" for the form kept in Mongo
+function signFileKey(key, expires) {
+  return hmacHex(storageSigningSecret(), fileKeyPayload(key, expires));
+}
+
+function isValidFileSignature(key, expires, sig) {
+  return signatureMatches(storageSigningSecret(), fileKeyPayload(key, expires), sig);
+}
+
+function filesBaseUrl() {
+  const base = process.env.PUBLIC_API_URL || process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, "")}/api/files/`;
+}
+
+// URL of a locally stored file; only the stored form is saved, expiring links are handed out
+function signedFileUrl(key, { expiresInSec } = {}) {
+  const expires = expiresInSec ? String(Math.floor(Date.now() / 1000) + expiresInSec) : null;
+  const query = new URLSearchParams({ sig: signFileKey(key, expires || "stored") });
+  if (expires) query.set("expires", expires);
+
+  const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+  return `${filesBaseUrl()}${encodedKey}?${query}`;
+}
+
+// Key of a local file URL we issued (stored form, or any expiring link when
+// anyForm is set), or null
+function storedFileKey(url, { anyForm = false } = {}) {
+  if (!STORAGE_SIGNING_SECRET || typeof url !== "string" || !url.startsWith(filesBaseUrl())) return null;
+
+  const parsed = new URL(url);
+  const expires = parsed.searchParams.get("expires");
+  if (expires && !anyForm) return null;
+
+  const key = parsed.pathname.split("/api/files/")[1].split("/").map(decodeURIComponent).join("/");
+  return isValidFileSignature(key, expires || "stored", parsed.searchParams.get("sig") || "") ? key : null;
+}
+
+// Remote files are only fetched from the storage service we upload to
+function isStorageServiceUrl(url) {
   try {
-    const result = await cloudinary.uploader.upload(localPath, {
-      folder: "hibonos/sop-certificates",
-      resource_type: "auto",
-    });
+    const { protocol, hostname } = new URL(url);
+    return protocol === "https:" && hostname === "res.cloudinary.com";
+  } catch {
+    return false;
+  }
+}
+
+const STORED_FILE_URL = /https?:\/\/[^"\s]*?\/api\/files\/[^"?\s]+\?sig=[0-9a-f]{64}(?=")/g;
+
+// Replaces stored-form file URLs inside a JSON string with expiring links
+function presignFileUrls(json) {
+  if (!STORAGE_SIGNING_SECRET || !json.includes("/api/files/")) return json;
 
-    // remove from temp
-    fs.unlinkSync(localPath);
+  return json.replace(STORED_FILE_URL, (url) => {
+    const key = storedFileKey(url);
+    return key ? signedFileUrl(key, { expiresInSec: FILE_LINK_TTL_SEC }) : url;
+  });
+}
+
+// Absolute path of a stored key, refusing anything that escapes the storage root
+function resolveLocalFile(key) {
+  const root = storageBackends.local.root();
+  const target = path.resolve(root, key);
+  if (!target.startsWith(root + path.sep)) throw new Error("Invalid file key");
+  return target;
+}
 
-    return result.secure_url;
+function tempFilePath(name) {
+  return path.join(os.tmpdir(), `${Date.now()}-${crypto.randomBytes(4).toString("hex")}-${name}`);
+}
+
+// Stores a local file with the configured backend and removes the local copy
+export const storeFile = async (localPath, { folder, filename, contentType } = {}) => {
+  try {
+    return await getStorage().put(localPath, { folder: folder || "files", filename, contentType });
   } catch (err) {
-    console.error("Cloudinary Upload Error:", err);
+    console.error("Storage Upload Error:", err);
     throw new Error("Upload failed");
+  } finally {
+    fs.promises.rm(localPath, { force: true }).catch(() => {});
   }
 };
 
-export const generateCertificate = async ({ employeeName, sopTitle }) => {
-  const doc = new PDFDocument({ size: "A4", layout: "landscape" });
+export const uploadFile = async (localPath, folder = "sop-certificates", contentType = "application/pdf") =>
+  (await storeFile(localPath, { folder, contentType })).url;
 
-  const filePath = path.join("temp", `${Date.now()}-cert.pdf`);
-  const stream = fs.createWriteStream(filePath);
-  doc.pipe(stream);
+/* ----------------------------------------
+   CERTIFICATE RENDERING
+   Templates (see CertificateTemplate) override any of these defaults.
+   Wording supports {employeeName}, {sopTitle} (alias {title}),
+   {completedAt}, {score}, {organization}, {certificateId}, {contentLabel}
+---------------------------------------- */
+export const DEFAULT_CERTIFICATE_TEMPLATE = {
+  pageSize: "A4",
+  orientation: "landscape",
+  colors: { primary: "#1f2937", text: "#111827", accent: "#9ca3af" },
+  heading: "Certificate of Completion",
+  intro: "This certifies that",
+  body: "has successfully completed the {contentLabel}:",
+  footer: "",
+  signatoryName: "",
+  signatoryTitle: "",
+  logoUrl: null,
+  signatureUrl: null,
+};
+
+export const fillPlaceholders = (text, vars) =>
+  String(text || "").replace(/\{(\w+)\}/g, (match, key) => (vars[key] ?? match));
+
+const loadImageBuffer = async (url) => {
+  if (!url) return null;
+  try {
+    const localKey = storedFileKey(url);
+    if (localKey) return await fs.promises.readFile(resolveLocalFile(localKey));
+
+    if (!isStorageServiceUrl(url)) throw new Error("not a storage URL");
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    console.warn("Certificate image skipped:", url, err.message);
+    return null;
+  }
+};
+
+// Draws a certificate onto a fresh PDFKit document and ends it
+export const renderCertificate = async (doc, template, vars) => {
+  const t = { ...DEFAULT_CERTIFICATE_TEMPLATE };
+  for (const [key, value] of Object.entries(template || {})) {
+    if (value !== undefined && value !== null && value !== "") t[key] = value;
+  }
+  const colors = { ...DEFAULT_CERTIFICATE_TEMPLATE.colors, ...(template?.colors || {}) };
+  const fill = (text) => fillPlaceholders(text, vars);
+
+  const { width, height } = doc.page;
+
+  doc.lineWidth(3).strokeColor(colors.accent).rect(20, 20, width - 40, height - 40).stroke();
 
-  doc.fontSize(28).text("Certificate of Completion", { align: "center" });
+  const [logo, signature] = await Promise.all([loadImageBuffer(t.logoUrl), loadImageBuffer(t.signatureUrl)]);
+
+  doc.y = 50;
+  if (logo) {
+    doc.image(logo, width / 2 - 60, 45, { fit: [120, 60], align: "center" });
+    doc.y = 115;
+  }
+
+  doc.fillColor(colors.primary).fontSize(28).text(fill(t.heading), 40, doc.y, { align: "center", width: width - 80 });
   doc.moveDown();
-  doc.fontSize(18).text(`This certifies that`, { align: "center" });
+  doc.fillColor(colors.text).fontSize(18).text(fill(t.intro), { align: "center" });
   doc.moveDown();
-  doc.fontSize(26).text(`${employeeName}`, { align: "center", bold: true });
+  doc.fillColor(colors.primary).fontSize(26).text(vars.employeeName || "", { align: "center" });
   doc.moveDown();
-  doc.fontSize(18).text(`has successfully completed the SOP:`, {
-    align: "center",
-  });
+  doc.fillColor(colors.text).fontSize(18).text(fill(t.body), { align: "center" });
   doc.moveDown();
-  doc.fontSize(24).text(`${sopTitle}`, { align: "center" });
+  doc.fontSize(24).text(vars.sopTitle || "", { align: "center" });
+  if (t.footer) {
+    doc.moveDown();
+    doc.fontSize(14).text(fill(t.footer), { align: "center" });
+  }
+
+  // signature block
+  const sigY = height - 190;
+  if (signature) doc.image(signature, 60, sigY, { fit: [160, 50] });
+  if (signature || t.signatoryName) {
+    doc.strokeColor(colors.text).lineWidth(1).moveTo(60, sigY + 55).lineTo(240, sigY + 55).stroke();
+    doc.fontSize(12).fillColor(colors.text).text(t.signatoryName || "", 60, sigY + 60, { width: 180 });
+    doc.fontSize(10).fillColor("#555").text(t.signatoryTitle || "", 60, sigY + 76, { width: 180 });
+  }
+
+  // verification footer: issuer, ID and a QR code pointing at the public verify endpoint
+  if (vars.certificateId) {
+    const footerY = height - 95;
+
+    doc.fontSize(9).fillColor("#444");
+    const lines = [
+      vars.organization && `Issued by ${vars.organization} on ${vars.issuedAt}`,
+      `Certificate ID: ${vars.certificateId}`,
+      vars.verifyUrl && `Verify at ${vars.verifyUrl}`,
+    ].filter(Boolean);
+    lines.forEach((line, i) => doc.text(line, 60, footerY + i * 13, { width: width - 260, lineBreak: false }));
+
+    if (vars.verifyUrl) {
+      const qr = await QRCode.toBuffer(vars.verifyUrl, { margin: 1, width: 220 });
+      doc.image(qr, width - 150, height - 150, { width: 100 });
+    }
+  }
 
+  doc.fillColor("black");
   doc.end();
+};
+
+export const newCertificateDocument = (template) =>
+  new PDFDocument({
+    size: template?.pageSize || DEFAULT_CERTIFICATE_TEMPLATE.pageSize,
+    layout: template?.orientation || DEFAULT_CERTIFICATE_TEMPLATE.orientation,
+    margin: 40,
+  });
+
+export const generateCertificate = async ({
+  employeeName,
+  sopTitle,
+  certificateId,
+  issuedAt,
+  organization,
+  verifyUrl,
+  contentType = "sop",
+  completedAt,
+  score,
+  template,
+}) => {
+  const doc = newCertificateDocument(template);
+
+  const filePath = tempFilePath("cert.pdf");
+  const stream = fs.createWriteStream(filePath);
+  doc.pipe(stream);
+
+  const date = (d) => new Date(d || Date.now()).toISOString().slice(0, 10);
+
+  await renderCertificate(doc, template, {
+    employeeName,
+    sopTitle,
+    title: sopTitle,
+    contentLabel: contentType === "training" ? "training" : "SOP",
+    completedAt: date(completedAt),
+    issuedAt: date(issuedAt),
+    score: score === null || score === undefined ? "" : `${score}%`,
+    organization: organization || "",
+    certificateId,
+    verifyUrl,
+  });
 
   await new Promise((resolve) => stream.on("finish", resolve));
 
-  const remoteUrl = await uploadFile(filePath);
+  // uploadFile removes the local copy
+  return uploadFile(filePath);
+};
+
+/* ----------------------------------------
+   MAIL TRANSPORT (pluggable)
+   MAIL_TRANSPORT=file    → writes .eml files to MAIL_OUTBOX_DIR (development default;
+                            production has no default and refuses to start without one)
+   MAIL_TRANSPORT=console → prints messages to the server log
+   MAIL_TRANSPORT=smtp    → SMTP via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+                            SMTP_USER, SMTP_PASS); a local fake SMTP server such as
+                            MailHog or smtp4dev on localhost:1025 works for testing
+   Other transports register themselves with registerMailTransport()
+---------------------------------------- */
+const mailTransports = {
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, "_");
+    const filePath = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+
+    const eml = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      message.text,
+    ].join("\r\n");
+
+    await fs.promises.writeFile(filePath, eml);
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+    return { id: filePath };
+  },
+
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  },
 
-  fs.unlinkSync(filePath);
+  smtp: async (message) => {
+    smtpTransporter ||= nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
 
-  return remoteUrl;
+    const info = await smtpTransporter.sendMail(message);
+    return { id: info.messageId };
+  },
 };
 
+let smtpTransporter = null;
+
+if (process.env.NODE_ENV === "production" && !process.env.MAIL_TRANSPORT) {
+  console.error("Missing MAIL_TRANSPORT (required in production so invites and notifications are delivered)");
+  process.exit(1);
+}
+
+function registerMailTransport(name, send) {
+  mailTransports[name] = send;
+}
+
+async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || "file";
+
+  const transport = mailTransports[name];
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+
+  return transport({
+    from: process.env.MAIL_FROM || "TrainDesk <no-reply@traindesk.app>",
+    ...message,
+  });
+}
+
 /* ----------------------------------------
    INIT FIREBASE ADMIN
 ---------------------------------------- */
@@ -182,12 +696,29 @@ app.options(/.*/, (req, res) => {
 
 app.use(express.json({ limit: "8mb" }));
 
+// stored local file URLs in responses become short-lived download links
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const text = JSON.stringify(body);
+    const signed = text === undefined ? text : presignFileUrls(text);
+    if (signed === text) return json(body);
+    return res.type("json").send(signed);
+  };
+  next();
+});
+
 /* ----------------------------------------
    MONGO CONNECT
 ---------------------------------------- */
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB Connected"))
+  .then(() => {
+    console.log("MongoDB Connected");
+    migrateOwnersToOrganizations().catch((err) =>
+      console.error("Organization migration error:", err)
+    );
+  })
   .catch((err) => {
     console.error("Mongo error:", err);
     process.exit(1);
@@ -200,17 +731,66 @@ const UserSchema = new mongoose.Schema({
   firebaseUid: String,
   email: String,
   role: { type: String, enum: ["user", "admin"], default: "user" },
+  orgId: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// A company: every admin member shares the same SOPs, trainings, employees, logs and settings
+const OrganizationSchema = new mongoose.Schema({
+  name: { type: String, default: "My Organization" },
+  members: [
+    {
+      firebaseUid: String,
+      email: String,
+      role: { type: String, enum: ["admin"], default: "admin" },
+      joinedAt: { type: Date, default: Date.now },
+    },
+  ],
+  legacyOwnerId: { type: String, default: null }, // ownerId this org was migrated from
+  createdAt: { type: Date, default: Date.now },
+});
+
+OrganizationSchema.index(
+  { legacyOwnerId: 1 },
+  { unique: true, partialFilterExpression: { legacyOwnerId: { $type: "string" } } }
+);
+
+// Admin invitation, accepted with the raw token; only its hash is stored
+const OrgInvitationSchema = new mongoose.Schema({
+  orgId: { type: String, required: true },
+  email: { type: String, required: true },
+  tokenHash: { type: String, required: true },
+  invitedBy: String, // firebaseUid
+  expiresAt: Date,
+  acceptedAt: { type: Date, default: null },
+  acceptedBy: { type: String, default: null },
+  revokedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
 });
 
 const EmployeeSchema = new mongoose.Schema({
-  ownerId: String,
+  orgId: { type: String, index: true },
+  ownerId: String, // pre-organization tenant key, kept for the migration
   firebaseUid: String,
   name: String,
   email: String,
   dept: String,
   role: { type: String, enum: ["owner", "manager", "staff"], default: "staff" },
-  status: { type: String, enum: ["active", "inactive"], default: "active" },
+  managedDepts: [String], // extra departments a manager oversees besides their own
+  inviteStatus: {
+    type: String,
+    enum: ["none", "pending", "accepted", "revoked", "expired"],
+    default: "none",
+  },
+  invitedAt: { type: Date, default: null },
+  inviteAcceptedAt: { type: Date, default: null },
+  // inactive = flagged by the inactivity job, deactivated = blocked from signing in
+  status: { type: String, enum: ["active", "inactive", "deactivated"], default: "active" },
+  lastLoginAt: { type: Date, default: null },
+  lastActivityAt: { type: Date, default: null },
+  lastSeenAt: { type: Date, default: null }, // last socket activity, see presence
+  inactiveSince: { type: Date, default: null },
+  deactivatedAt: { type: Date, default: null },
   completedTrainings: [{ type: mongoose.Schema.Types.ObjectId, ref: "TrainingVideo" }],
   pendingSOPs: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
@@ -223,23 +803,92 @@ const EmployeeSchema = new mongoose.Schema({
 });
 
 const SOPSchema = new mongoose.Schema({
-  ownerId: String,
+  orgId: { type: String, index: true },
+  ownerId: String, // pre-organization tenant key, kept for the migration
   title: String,
   dept: String,
   content: String,
   updated: { type: Date, default: Date.now },
+  currentRevision: { type: Number, default: 0 }, // 0 = created before revision history
+  // Periodic review driven by workflows.sopReviewCycleDays
+  review: {
+    status: { type: String, enum: ["current", "due", "needs_edit"], default: "current" },
+    dueSince: { type: Date, default: null },
+    reviewerId: { type: String, default: null }, // firebaseUid (manager or org admin)
+    reviewerName: { type: String, default: null },
+    lastReviewedAt: { type: Date, default: null },
+    lastReviewedBy: { type: String, default: null },
+    lastDecision: { type: String, enum: ["approved", "needs_edit", null], default: null },
+    note: { type: String, default: "" },
+  },
   assignedTo: [
     { type: mongoose.Schema.Types.ObjectId, ref: "Employee" }
-  ]
+  ],
+  // optional structured procedure; response-type steps are filled in on completion
+  steps: [
+    {
+      type: { type: String, enum: ["text", "image", "checkbox", "input", "photo"], required: true },
+      title: { type: String, default: "" },
+      body: { type: String, default: "" },
+      imageUrl: { type: String, default: null },
+      required: { type: Boolean, default: false },
+    },
+  ],
+  // files shown with the procedure, in display order
+  attachments: [
+    {
+      name: String,
+      kind: { type: String, enum: ["image", "pdf", "document", "video"] },
+      mimeType: String,
+      size: Number,
+      key: String, // storage key, used for deletion
+      url: String,
+      driver: String, // storage backend that holds the file
+      uploadedBy: String, // firebaseUid
+      uploadedAt: { type: Date, default: Date.now },
+    },
+  ],
+  dueDays: { type: Number, default: null }, // days to complete once assigned; null = org default
+});
+
+// Immutable snapshot of an SOP, written on every save
+const SOPRevisionSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  ownerId: String, // pre-organization tenant key, kept for the migration
+  sopId: { type: mongoose.Schema.Types.ObjectId, ref: "SOP", required: true },
+  revision: { type: Number, required: true },
+  title: String,
+  dept: String,
+  content: String,
+  steps: { type: Array, default: undefined }, // snapshot of SOP.steps
+  authorId: String, // firebaseUid
+  authorEmail: String,
+  changeNote: { type: String, default: "" },
+  restoredFrom: { type: Number, default: null },
+  requiresReack: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
+SOPRevisionSchema.index({ sopId: 1, revision: 1 }, { unique: true });
+
+SOPRevisionSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("SOP revisions are immutable");
+});
+
+SOPRevisionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
+  throw new Error("SOP revisions are immutable");
 });
 
 const TrainingVideoSchema = new mongoose.Schema({
-  ownerId: String,
+  orgId: { type: String, index: true },
+  ownerId: String, // pre-organization tenant key, kept for the migration
   title: String,
   description: String,
   videoUrl: String,
   thumbnailUrl: String,
+  dept: { type: String, default: null }, // optional, used by assignment rules
   assignedEmployees: [String],
+  dueDays: { type: Number, default: null }, // days to complete once assigned; null = org default
   status: { type: String, enum: ["active", "completed"], default: "active" },
   completedBy: [String],
   quiz: [
@@ -249,26 +898,75 @@ const TrainingVideoSchema = new mongoose.Schema({
       correct: String
     }
   ],
+  passMark: { type: Number, default: 70 }, // percent needed to pass the quiz
+  maxAttempts: { type: Number, default: 0 }, // 0 = unlimited
+  durationSec: { type: Number, default: null }, // set by admins only; null = watch ratio not enforced
+  minWatchRatio: { type: Number, default: 0.9 }, // share of the video that must be watched to complete
   createdAt: { type: Date, default: Date.now },
 });
 
+// Playback progress per employee and video. Watched time is built from
+// server-validated heartbeat segments, never from a client-claimed percent.
 const EmployeeProgressSchema = new mongoose.Schema({
-  employeeId: String,
+  orgId: { type: String, index: true },
+  employeeId: String, // firebaseUid (older rows may hold the Employee _id)
   videoId: String,
-  progressPercent: { type: Number, default: 0 },
+  progressPercent: { type: Number, default: 0 }, // unique seconds watched / duration
+  positionSec: { type: Number, default: 0 }, // resume position
+  watchedSegments: [{ _id: false, start: Number, end: Number }], // merged, non-overlapping
+  watchedSeconds: { type: Number, default: 0 },
+  lastHeartbeatAt: { type: Date, default: null },
   completed: Boolean,
+  completedAt: { type: Date, default: null },
+  certificateId: { type: String, default: null },
+  certificateUrl: { type: String, default: null },
   updatedAt: { type: Date, default: Date.now },
 });
 
 const SystemLogSchema = new mongoose.Schema({
-  ownerId: String,
+  orgId: { type: String, index: true },
+  ownerId: String, // pre-organization tenant key, kept for the migration
   message: String,
   type: { type: String },
+  // structured fields (older entries only have message/type)
+  actorId: { type: String, default: null }, // firebaseUid, null = system job
+  actorName: { type: String, default: null },
+  action: { type: String, default: null }, // e.g. "sop.created"
+  targetType: { type: String, default: null }, // sop | training | employee | ...
+  targetId: { type: String, default: null },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  subjectIds: [String], // targetId + *Id / *Ids values in metadata, for subject filters
+  createdAt: { type: Date, default: Date.now },
+});
+
+SystemLogSchema.index({ orgId: 1, createdAt: -1, _id: -1 });
+SystemLogSchema.index({ orgId: 1, subjectIds: 1 });
+SystemLogSchema.index({ orgId: 1, message: "text" });
+
+// Inbox entry for one recipient (employee or org admin), see notify()
+const NotificationSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  recipientUid: { type: String, required: true }, // firebaseUid
+  recipientEmail: String,
+  recipientName: String,
+  audience: { type: String, enum: ["employees", "admins"], default: "employees" },
+  category: { type: String, enum: ["trainingUpdates", "employeeJoined", "sopUpdates"] }, // unset = system
+  event: String,
+  title: String,
+  body: String,
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  readAt: { type: Date, default: null },
+  digestPending: { type: Boolean, default: false }, // waiting for the hourly/daily digest
+  deliveredVia: [String], // channel names
   createdAt: { type: Date, default: Date.now },
 });
 
+NotificationSchema.index({ recipientUid: 1, createdAt: -1 });
+NotificationSchema.index({ digestPending: 1, orgId: 1 });
+
 const SystemSettingsSchema = new mongoose.Schema({
-  ownerId: { type: String, required: true, unique: true },
+  orgId: { type: String, required: true, unique: true },
+  ownerId: String, // pre-organization tenant key, kept for the migration
 
   websocket: {
     enabled: { type: Boolean, default: true },
@@ -291,6 +989,7 @@ const SystemSettingsSchema = new mongoose.Schema({
     autoAssignOnDeptChange: { type: Boolean, default: false },
     sopReviewCycleDays: { type: Number, default: 30 },
     inactivityDaysToFlag: { type: Number, default: 90 },
+    assignmentDueDays: { type: Number, default: 14 }, // default deadline offset, 0 = no deadline
     requireApprovalForTraining: { type: Boolean, default: false },
   },
 
@@ -310,6 +1009,22 @@ const EmployeeSOPProgressSchema = new mongoose.Schema({
   completed: { type: Boolean, default: false },
   completedAt: { type: Date, default: null },
   certificateUrl: { type: String, default: null },
+  certificateId: { type: String, default: null },
+  checklistId: { type: mongoose.Schema.Types.ObjectId, ref: "SOPChecklistSubmission", default: null },
+  revision: { type: Number, default: null }, // SOP revision that was acknowledged
+  reackRequired: { type: Boolean, default: false },
+  // earlier acknowledgements, kept when an SOP change requires re-reading
+  history: [
+    {
+      revision: Number,
+      completedAt: Date,
+      certificateUrl: String,
+      certificateId: String,
+      checklistId: mongoose.Schema.Types.ObjectId,
+      supersededAt: { type: Date, default: Date.now },
+      supersededByRevision: Number,
+    },
+  ],
 });
 
 const EmployeeScoreSchema = new mongoose.Schema({
@@ -319,15 +1034,205 @@ const EmployeeScoreSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+// One document per quiz submission, graded server-side
+const QuizAttemptSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  ownerId: String, // pre-organization tenant key, kept for the migration
+  employeeId: String, // firebaseUid
+  videoId: String,
+  attempt: Number,
+  answers: [
+    {
+      questionId: String,
+      answer: String,
+      correct: Boolean,
+    },
+  ],
+  correctCount: Number,
+  totalQuestions: Number,
+  score: Number,
+  passMark: Number,
+  passed: Boolean,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// one row per attempt number: parallel submissions cannot both use the last attempt
+QuizAttemptSchema.index(
+  { employeeId: 1, videoId: 1, attempt: 1 },
+  { unique: true, partialFilterExpression: { attempt: { $type: "number" } } }
+);
+
+// "Assign <content> to <audience>", applied when employees join or change
+// department and when new SOPs / trainings are created
+const AssignmentRuleSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  ownerId: String, // pre-organization tenant key, kept for the migration
+  name: String,
+  enabled: { type: Boolean, default: true },
+  contentType: { type: String, enum: ["sop", "training"], required: true },
+  contentId: { type: mongoose.Schema.Types.ObjectId, default: null }, // one specific SOP / training
+  contentDept: { type: String, default: null }, // or: all content of this department
+  audienceDept: { type: String, default: null }, // null = any department
+  audienceRole: { type: String, enum: ["owner", "manager", "staff", null], default: null }, // null = any role
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// One-time activation link for an employee; the token is a signed JWT
+// whose hash is stored so it can be checked, used once and revoked
+const EmployeeInviteSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: "Employee", required: true },
+  email: String,
+  tokenHash: { type: String, required: true },
+  invitedBy: String, // firebaseUid
+  expiresAt: Date,
+  usedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Deadline of a single assignment (one employee, one SOP or training).
+// Global trainings (no assignees) carry no deadline.
+const AssignmentDueSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  contentType: { type: String, enum: ["sop", "training"], required: true },
+  contentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: "Employee", required: true },
+  employeeUid: String,
+  assignedAt: { type: Date, default: Date.now },
+  dueAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null }, // set by the escalation job once done
+  escalatedAt: { type: Date, default: null },
+  escalationCount: { type: Number, default: 0 },
+});
+
+AssignmentDueSchema.index({ contentType: 1, contentId: 1, employeeId: 1 }, { unique: true });
+AssignmentDueSchema.index({ dueAt: 1, completedAt: 1 });
+
+// Ordered curriculum of SOPs and trainings. A step unlocks once all of its
+// prerequisites (indexes of earlier steps) are completed.
+const LearningPathSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  title: { type: String, required: true },
+  description: { type: String, default: "" },
+  steps: [
+    {
+      contentType: { type: String, enum: ["sop", "training"], required: true },
+      contentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      prerequisites: [Number],
+    },
+  ],
+  assignedEmployees: [{ type: mongoose.Schema.Types.ObjectId, ref: "Employee" }],
+  assignedDepts: [String],
+  createdBy: String, // firebaseUid
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Issued certificate; `signature` is an HMAC over the fields in certificatePayload()
+const CertificateSchema = new mongoose.Schema({
+  certificateId: { type: String, required: true, unique: true }, // public ID printed on the PDF
+  orgId: { type: String, index: true },
+  organizationName: String,
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: "Employee" },
+  employeeUid: String,
+  employeeName: String,
+  contentType: { type: String, enum: ["sop", "training"], default: "sop" },
+  contentId: mongoose.Schema.Types.ObjectId,
+  contentTitle: String,
+  revision: { type: Number, default: null },
+  issuedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+  score: { type: Number, default: null }, // best quiz score for trainings
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: "CertificateTemplate", default: null },
+  signature: String,
+  url: String,
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: String, default: null },
+  revokeReason: { type: String, default: "" },
+  replaces: { type: String, default: null }, // certificateId this one reissues
+  replacedBy: { type: String, default: null },
+});
+
+// Admin-managed certificate layout; unset fields fall back to DEFAULT_CERTIFICATE_TEMPLATE
+const CertificateTemplateSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  name: { type: String, required: true },
+  appliesTo: { type: String, enum: ["all", "sop", "training"], default: "all" },
+  isDefault: { type: Boolean, default: false },
+  pageSize: { type: String, enum: ["A4", "LETTER"], default: "A4" },
+  orientation: { type: String, enum: ["landscape", "portrait"], default: "landscape" },
+  colors: {
+    primary: { type: String, default: "#1f2937" },
+    text: { type: String, default: "#111827" },
+    accent: { type: String, default: "#9ca3af" },
+  },
+  heading: String,
+  intro: String,
+  body: String,
+  footer: String,
+  signatoryName: String,
+  signatoryTitle: String,
+  logoUrl: { type: String, default: null },
+  signatureUrl: { type: String, default: null },
+  // storage location of the images, so replaced or deleted ones are removed
+  logoFile: { key: String, driver: String },
+  signatureFile: { key: String, driver: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// An employee's answers to an SOP's steps. One draft per employee collects
+// answers and photo evidence; completing the SOP turns it into a submission.
+const SOPChecklistSubmissionSchema = new mongoose.Schema({
+  orgId: { type: String, index: true },
+  sopId: { type: mongoose.Schema.Types.ObjectId, ref: "SOP", required: true },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: "Employee" },
+  employeeUid: String,
+  revision: { type: Number, default: null },
+  status: { type: String, enum: ["draft", "submitted"], default: "draft" },
+  responses: [
+    {
+      _id: false,
+      stepId: mongoose.Schema.Types.ObjectId,
+      type: String,
+      title: String, // step title at the time of answering
+      checked: { type: Boolean, default: undefined },
+      text: { type: String, default: undefined },
+      photoUrl: { type: String, default: undefined },
+      photoKey: { type: String, default: undefined },
+      photoDriver: { type: String, default: undefined },
+      answeredAt: { type: Date, default: Date.now },
+    },
+  ],
+  submittedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+SOPChecklistSubmissionSchema.index({ sopId: 1, employeeUid: 1, status: 1 });
+
 const SystemSettings = mongoose.model("SystemSettings", SystemSettingsSchema);
 const SystemLog = mongoose.model("SystemLog", SystemLogSchema);
+const Notification = mongoose.model("Notification", NotificationSchema);
 const User = mongoose.model("User", UserSchema);
+const Organization = mongoose.model("Organization", OrganizationSchema);
+const OrgInvitation = mongoose.model("OrgInvitation", OrgInvitationSchema);
 const Employee = mongoose.model("Employee", EmployeeSchema);
 const SOP = mongoose.model("SOP", SOPSchema);
+const SOPRevision = mongoose.model("SOPRevision", SOPRevisionSchema);
 const TrainingVideo = mongoose.model("TrainingVideo", TrainingVideoSchema);
 const EmployeeSOPProgress = mongoose.model("EmployeeSOPProgress", EmployeeSOPProgressSchema)
 const EmployeeProgress = mongoose.model("EmployeeProgress", EmployeeProgressSchema);
 const EmployeeScore = mongoose.model("EmployeeScore", EmployeeScoreSchema);
+const QuizAttempt = mongoose.model("QuizAttempt", QuizAttemptSchema);
+const AssignmentRule = mongoose.model("AssignmentRule", AssignmentRuleSchema);
+const EmployeeInvite = mongoose.model("EmployeeInvite", EmployeeInviteSchema);
+const AssignmentDue = mongoose.model("AssignmentDue", AssignmentDueSchema);
+const LearningPath = mongoose.model("LearningPath", LearningPathSchema);
+const Certificate = mongoose.model("Certificate", CertificateSchema);
+const CertificateTemplate = mongoose.model("CertificateTemplate", CertificateTemplateSchema);
+const SOPChecklistSubmission = mongoose.model("SOPChecklistSubmission", SOPChecklistSubmissionSchema);
 
 async function getEmployeeSopStats(employeeUid) {
   const total = await EmployeeSOPProgress.countDocuments({ employeeId: employeeUid });
@@ -343,30 +1248,587 @@ async function getEmployeeSopStats(employeeUid) {
   };
 }
 
-// ----------------------------
-// Helper: getOrCreateSettings
-// ----------------------------
-async function getOrCreateSettings(ownerId) {
-  let settings = await SystemSettings.findOne({ ownerId });
-  if (!settings) {
-    settings = await SystemSettings.create({
-      ownerId,
-      // defaults are applied by schema
-    });
-    await addLog(ownerId, "Created default system settings", "settings");
-    emitToOwner(ownerId, "settings:created", settings);
-  }
-  return settings;
-}
-
-// ----------------------------
+/* ----------------------------------------
+   QUIZ HELPERS
+---------------------------------------- */
+async function getQuizStatus(employeeUid, video) {
+  const attempts = await QuizAttempt.find({
+    employeeId: employeeUid,
+    videoId: video._id.toString(),
+  }).sort({ createdAt: 1 });
+
+  const maxAttempts = video.maxAttempts || 0;
+
+  return {
+    hasQuiz: (video.quiz || []).length > 0,
+    passMark: video.passMark ?? 70,
+    maxAttempts,
+    attemptsUsed: attempts.length,
+    attemptsRemaining: maxAttempts ? Math.max(maxAttempts - attempts.length, 0) : null,
+    bestScore: attempts.length ? Math.max(...attempts.map((a) => a.score)) : null,
+    passed: attempts.some((a) => a.passed),
+  };
+}
+
+// Training completion is only allowed once the quiz (if any) has been passed
+async function hasPassedQuiz(employeeUid, video) {
+  if (!video.quiz || video.quiz.length === 0) return true;
+
+  const passed = await QuizAttempt.exists({
+    employeeId: employeeUid,
+    videoId: video._id.toString(),
+    passed: true,
+  });
+
+  return !!passed;
+}
+
+/* ----------------------------------------
+   SOP REVISION HELPERS
+---------------------------------------- */
+// Appends a new revision from the SOP's current fields. Call after
+// sop.save(), so a failed save leaves no revision behind. The number is
+// allocated with $inc on the stored SOP, so parallel edits never share one;
+// sop.currentRevision follows it without being written again by sop.save().
+// A clash on the (sopId, revision) index is thrown with status 409.
+async function recordSopRevision(
+  sop,
+  user,
+  { changeNote = "", restoredFrom = null, requiresReack = false } = {}
+) {
+  const allocated = await SOP.findOneAndUpdate(
+    { _id: sop._id },
+    { $inc: { currentRevision: 1 } },
+    { new: true, projection: { currentRevision: 1 } }
+  );
+  if (!allocated) throw new Error("SOP not found");
+
+  sop.currentRevision = allocated.currentRevision;
+  sop.unmarkModified("currentRevision");
+
+  return createSopRevision(sop, user, { changeNote, restoredFrom, requiresReack });
+}
+
+async function createSopRevision(sop, user, { changeNote = "", restoredFrom = null, requiresReack = false } = {}) {
+  try {
+    return await SOPRevision.create({
+      orgId: sop.orgId,
+      sopId: sop._id,
+      revision: sop.currentRevision,
+      title: sop.title,
+      dept: sop.dept,
+      content: sop.content,
+      steps: (sop.steps || []).map((step) => (step.toObject ? step.toObject() : step)),
+      authorId: user?.firebaseUid || sop.ownerId || null,
+      authorEmail: user?.email || "",
+      changeNote,
+      restoredFrom,
+      requiresReack,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    throw Object.assign(new Error("The SOP was changed at the same time, reload it and try again"), { status: 409 });
+  }
+}
+
+// SOPs created before revision history existed get their current state
+// stored as revision 1 the first time they are touched (claimed, so only
+// one request writes it).
+async function ensureSopBaseline(sop) {
+  if (sop.currentRevision > 0) return;
+
+  const claimed = await SOP.updateOne(
+    { _id: sop._id, currentRevision: { $in: [0, null] } },
+    { currentRevision: 1 }
+  );
+
+  sop.currentRevision = 1;
+  sop.unmarkModified("currentRevision");
+  if (claimed.modifiedCount) {
+    await createSopRevision(sop, null, { changeNote: "Initial version" });
+    return;
+  }
+
+  const stored = await SOP.findById(sop._id).select("currentRevision");
+  sop.currentRevision = stored?.currentRevision || 1;
+  sop.unmarkModified("currentRevision");
+}
+
+// Recount SOPs assigned to the employee that are not (or no longer) completed
+async function refreshPendingSOPs(emp) {
+  const assigned = await SOP.find({ assignedTo: emp._id }).select("_id");
+
+  const completed = await EmployeeSOPProgress.countDocuments({
+    employeeId: emp.firebaseUid,
+    sopId: { $in: assigned.map((s) => s._id) },
+    completed: true,
+  });
+
+  emp.pendingSOPs = Math.max(assigned.length - completed, 0);
+  await Employee.updateOne({ _id: emp._id }, { pendingSOPs: emp.pendingSOPs });
+}
+
+/*
+  Material SOP change: every existing acknowledgement moves to history
+  and assignees have to complete the SOP again.
+*/
+async function requireSopReack(sop) {
+  const completedProgress = await EmployeeSOPProgress.find({ sopId: sop._id, completed: true });
+
+  for (const progress of completedProgress) {
+    progress.history.push({
+      revision: progress.revision,
+      completedAt: progress.completedAt,
+      certificateUrl: progress.certificateUrl,
+      certificateId: progress.certificateId,
+      checklistId: progress.checklistId,
+      supersededByRevision: sop.currentRevision,
+    });
+    progress.completed = false;
+    progress.completedAt = null;
+    progress.certificateUrl = null;
+    progress.certificateId = null;
+    progress.checklistId = null;
+    progress.revision = null;
+    progress.reackRequired = true;
+    await progress.save();
+  }
+
+  const assignees = await Employee.find({ _id: { $in: sop.assignedTo } });
+  for (const emp of assignees) await refreshPendingSOPs(emp);
+
+  const mustReack = completedProgress.map((p) => p.employeeId);
+  notify(sop.orgId, "sopUpdates", assignees.filter((e) => mustReack.includes(e.firebaseUid)).map(employeeRecipient), {
+    event: "sop:reack-required",
+    title: `SOP updated: ${sop.title}`,
+    body: `"${sop.title}" has changed. Please read it again and re-acknowledge.`,
+    data: { sopId: sop._id, revision: sop.currentRevision },
+  });
+
+  await restartAssignmentDues("sop", sop, completedProgress.map((p) => p.employeeId));
+
+  await addLog(
+    sop.orgId,
+    `SOP "${sop.title}" changed (revision ${sop.currentRevision}) - ${completedProgress.length} employee(s) must re-acknowledge`,
+    "sop",
+    {
+      action: "sop.reack-required",
+      targetType: "sop",
+      targetId: sop._id,
+      metadata: { revision: sop.currentRevision, employees: completedProgress.length },
+    }
+  );
+
+  emitToOrg(sop.orgId, "sop:reack-required", {
+    sopId: sop._id,
+    sopTitle: sop.title,
+    revision: sop.currentRevision,
+    employees: completedProgress.map((p) => p.employeeId),
+  });
+  for (const progress of completedProgress)
+    emitToEmployee(sop.orgId, progress.employeeId, "sop:reack-required", {
+      sopId: sop._id,
+      sopTitle: sop.title,
+      revision: sop.currentRevision,
+    });
+
+  return completedProgress.length;
+}
+
+/* ----------------------------------------
+   ASSIGNMENT RULE HELPERS
+---------------------------------------- */
+function validateAssignmentRule(rule) {
+  if (!["sop", "training"].includes(rule.contentType))
+    return "contentType must be sop or training";
+  if (!rule.contentId && !rule.contentDept)
+    return "Either contentId or contentDept is required";
+  if (rule.contentId && !mongoose.isValidObjectId(rule.contentId))
+    return "contentId is not a valid id";
+  if (rule.audienceRole && !["owner", "manager", "staff"].includes(rule.audienceRole))
+    return "audienceRole must be owner, manager or staff";
+  return null;
+}
+
+function ruleMatchesEmployee(rule, emp) {
+  if (emp.status === "deactivated") return false;
+  if (rule.audienceDept && rule.audienceDept !== emp.dept) return false;
+  if (rule.audienceRole && rule.audienceRole !== emp.role) return false;
+  return true;
+}
+
+function ruleMatchesContent(rule, item) {
+  if (rule.contentId) return rule.contentId.toString() === item._id.toString();
+  return !!rule.contentDept && rule.contentDept === item.dept;
+}
+
+function isContentAssigned(contentType, item, emp) {
+  if (contentType === "sop")
+    return (item.assignedTo || []).some((id) => id.toString() === emp._id.toString());
+
+  // trainings with no assignees are visible to everyone already
+  const assigned = item.assignedEmployees || [];
+  return assigned.length === 0 || assigned.includes(emp.firebaseUid);
+}
+
+// Rules add real assignees, so an org-wide training (no assignees yet) still
+// counts as unassigned here; once assigned it is limited to its assignees
+function isExplicitlyAssigned(contentType, item, emp) {
+  if (contentType === "sop") return isContentAssigned("sop", item, emp);
+  return (item.assignedEmployees || []).includes(emp.firebaseUid);
+}
+
+function findRuleContent(rule) {
+  const Model = rule.contentType === "sop" ? SOP : TrainingVideo;
+  const filter = { orgId: rule.orgId };
+
+  if (rule.contentId) filter._id = rule.contentId;
+  else filter.dept = rule.contentDept;
+
+  return Model.find(filter);
+}
+
+/*
+  A plan is a list of { rule, contentType, item, emp } for assignments that
+  do not exist yet. Plans are shown as-is for dry runs or applied.
+*/
+function addToPlan(plan, rule, item, emp) {
+  const key = `${rule.contentType}:${item._id}:${emp._id}`;
+  if (plan.some((p) => p.key === key)) return;
+  if (isExplicitlyAssigned(rule.contentType, item, emp)) return;
+  plan.push({ key, rule, contentType: rule.contentType, item, emp });
+}
+
+async function planAssignmentsForEmployee(emp) {
+  const rules = await AssignmentRule.find({ orgId: emp.orgId, enabled: true });
+  const plan = [];
+
+  for (const rule of rules.filter((r) => ruleMatchesEmployee(r, emp))) {
+    for (const item of await findRuleContent(rule)) addToPlan(plan, rule, item, emp);
+  }
+
+  return plan;
+}
+
+async function planAssignmentsForContent(contentType, item) {
+  const rules = await AssignmentRule.find({ orgId: item.orgId, enabled: true, contentType });
+  const matching = rules.filter((r) => ruleMatchesContent(r, item));
+  if (!matching.length) return [];
+
+  const employees = await Employee.find({ orgId: item.orgId });
+  const plan = [];
+
+  for (const rule of matching) {
+    for (const emp of employees.filter((e) => ruleMatchesEmployee(rule, e)))
+      addToPlan(plan, rule, item, emp);
+  }
+
+  return plan;
+}
+
+async function planAssignmentsForRule(rule) {
+  const [content, employees] = await Promise.all([
+    findRuleContent(rule),
+    Employee.find({ orgId: rule.orgId }),
+  ]);
+  const plan = [];
+
+  for (const item of content) {
+    for (const emp of employees.filter((e) => ruleMatchesEmployee(rule, e)))
+      addToPlan(plan, rule, item, emp);
+  }
+
+  return plan;
+}
+
+function describePlan(plan) {
+  return plan.map((p) => ({
+    ruleId: p.rule._id,
+    ruleName: p.rule.name,
+    contentType: p.contentType,
+    contentId: p.item._id,
+    contentTitle: p.item.title,
+    employeeId: p.emp._id,
+    employeeName: p.emp.name,
+  }));
+}
+
+async function applyAssignmentPlan(plan) {
+  const sopAssignees = {};
+  const trainingAssignees = {};
+
+  for (const p of plan) {
+    const target = p.contentType === "sop" ? sopAssignees : trainingAssignees;
+    const id = p.item._id.toString();
+    target[id] = target[id] || [];
+    target[id].push(p.contentType === "sop" ? p.emp._id : p.emp.firebaseUid);
+  }
+
+  for (const [id, empIds] of Object.entries(sopAssignees))
+    await SOP.updateOne({ _id: id }, { $addToSet: { assignedTo: { $each: empIds } } });
+
+  for (const [id, uids] of Object.entries(trainingAssignees))
+    await TrainingVideo.updateOne({ _id: id }, { $addToSet: { assignedEmployees: { $each: uids } } });
+
+  for (const id of Object.keys(sopAssignees)) await syncAssignmentDues("sop", await SOP.findById(id));
+  for (const id of Object.keys(trainingAssignees))
+    await syncAssignmentDues("training", await TrainingVideo.findById(id));
+
+  const sopEmployees = new Map();
+  plan
+    .filter((p) => p.contentType === "sop")
+    .forEach((p) => sopEmployees.set(p.emp._id.toString(), p.emp));
+  for (const emp of sopEmployees.values()) await refreshPendingSOPs(emp);
+
+  return describePlan(plan);
+}
+
+async function applyPlanWithLog(orgId, plan, reason) {
+  if (!plan.length) return [];
+
+  const applied = await applyAssignmentPlan(plan);
+
+  await addLog(orgId, `Auto-assigned ${applied.length} item(s) ${reason}`, "assignment", {
+    action: "assignment.auto",
+    metadata: { reason, count: applied.length },
+  });
+  emitToOrg(orgId, "assignment:applied", { reason, assignments: applied });
+  for (const p of plan) announceAssignment(p.emp, p.contentType, p.item);
+
+  return applied;
+}
+
+/*
+  Employee-triggered auto-assignment, gated by workflows.autoAssignOnJoin
+  and workflows.autoAssignOnDeptChange.
+*/
+async function autoAssignEmployee(emp, trigger) {
+  // learning paths target departments explicitly, so they apply regardless of the toggles
+  const fromPaths = await applyPlanWithLog(
+    emp.orgId,
+    await planPathAssignmentsForEmployee(emp),
+    `from learning paths to ${emp.name}`
+  );
+
+  const settings = await getSettingsOrDefaults(emp.orgId);
+  const enabled =
+    trigger === "join"
+      ? settings.workflows?.autoAssignOnJoin
+      : settings.workflows?.autoAssignOnDeptChange;
+  if (!enabled) return fromPaths;
+
+  const plan = await planAssignmentsForEmployee(emp);
+  const fromRules = await applyPlanWithLog(
+    emp.orgId,
+    plan,
+    trigger === "join" ? `to new employee ${emp.name}` : `to ${emp.name} after department change`
+  );
+
+  return [...fromPaths, ...fromRules];
+}
+
+// Content-triggered auto-assignment for a newly created SOP / training
+async function autoAssignContent(contentType, item) {
+  const plan = await planAssignmentsForContent(contentType, item);
+  return applyPlanWithLog(item.orgId, plan, `for new ${contentType === "sop" ? "SOP" : "training"} "${item.title}"`);
+}
+
+/* ----------------------------------------
+   LEARNING PATH HELPERS
+---------------------------------------- */
+function pathAppliesTo(path, emp) {
+  return (
+    (path.assignedEmployees || []).some((id) => id.toString() === emp._id.toString()) ||
+    (path.assignedDepts || []).includes(emp.dept)
+  );
+}
+
+function employeesForPath(path) {
+  return Employee.find({
+    orgId: path.orgId,
+    status: { $ne: "deactivated" },
+    $or: [{ _id: { $in: path.assignedEmployees || [] } }, { dept: { $in: path.assignedDepts || [] } }],
+  });
+}
+
+async function loadPathContent(path) {
+  const ids = (type) => path.steps.filter((s) => s.contentType === type).map((s) => s.contentId);
+
+  const [sops, videos] = await Promise.all([
+    SOP.find({ _id: { $in: ids("sop") } }),
+    TrainingVideo.find({ _id: { $in: ids("training") } }),
+  ]);
+
+  return new Map([...sops, ...videos].map((c) => [c._id.toString(), c]));
+}
+
+// Assignment plan entries that give the path's employees access to every step
+async function planPathAssignments(path, employees) {
+  const content = await loadPathContent(path);
+  const plan = [];
+
+  for (const step of path.steps) {
+    const item = content.get(step.contentId.toString());
+    if (!item) continue;
+
+    const source = { _id: null, name: `Learning path "${path.title}"`, contentType: step.contentType };
+    for (const emp of employees) addToPlan(plan, source, item, emp);
+  }
+
+  return plan;
+}
+
+async function planPathAssignmentsForEmployee(emp) {
+  const paths = await LearningPath.find({
+    orgId: emp.orgId,
+    $or: [{ assignedEmployees: emp._id }, { assignedDepts: emp.dept }],
+  });
+
+  const plan = [];
+  for (const path of paths) {
+    for (const entry of await planPathAssignments(path, [emp])) {
+      if (!plan.some((p) => p.key === entry.key)) plan.push(entry);
+    }
+  }
+  return plan;
+}
+
+// Step states for one employee: completed / available / locked
+function buildPathProgress(path, emp, done, content) {
+  const completed = path.steps.map((step) =>
+    isEntryCompleted(done, {
+      contentType: step.contentType,
+      contentId: step.contentId,
+      employeeId: emp._id,
+      employeeUid: emp.firebaseUid,
+    })
+  );
+
+  const steps = path.steps.map((step, i) => {
+    const locked = !completed[i] && (step.prerequisites || []).some((p) => !completed[p]);
+
+    return {
+      index: i,
+      stepId: step._id,
+      contentType: step.contentType,
+      contentId: step.contentId,
+      title: content?.get(step.contentId.toString())?.title || null,
+      prerequisites: step.prerequisites,
+      status: completed[i] ? "completed" : locked ? "locked" : "available",
+    };
+  });
+
+  const doneCount = completed.filter(Boolean).length;
+  const current = steps.find((s) => s.status === "available");
+
+  return {
+    pathId: path._id,
+    title: path.title,
+    totalSteps: steps.length,
+    completedSteps: doneCount,
+    percent: steps.length ? Math.round((doneCount / steps.length) * 100) : 100,
+    currentStep: current ? current.index : null,
+    completed: steps.length > 0 && doneCount === steps.length,
+    steps,
+  };
+}
+
+async function loadPathProgress(path, emp, content) {
+  const done = await loadCompletedKeys(
+    path.steps.map((s) => ({
+      contentType: s.contentType,
+      contentId: s.contentId,
+      employeeId: emp._id,
+      employeeUid: emp.firebaseUid,
+    }))
+  );
+  return buildPathProgress(path, emp, done, content);
+}
+
+// First assigned path in which this content is still locked for the employee, if any
+async function findLockingPath(emp, contentType, contentId) {
+  const paths = await LearningPath.find({
+    orgId: emp.orgId,
+    $or: [{ assignedEmployees: emp._id }, { assignedDepts: emp.dept }],
+    steps: { $elemMatch: { contentType, contentId } },
+  });
+
+  for (const path of paths) {
+    const progress = await loadPathProgress(path, emp);
+    const step = progress.steps.find(
+      (s) => s.contentType === contentType && s.contentId.toString() === contentId.toString()
+    );
+    if (step?.status === "locked") return path;
+  }
+
+  return null;
+}
+
+// Drops deleted content from every path; dependents inherit the removed step's prerequisites
+async function removeContentFromPaths(contentType, contentId) {
+  const paths = await LearningPath.find({ steps: { $elemMatch: { contentType, contentId } } });
+
+  for (const path of paths) {
+    const removed = path.steps.findIndex(
+      (s) => s.contentType === contentType && s.contentId.toString() === contentId.toString()
+    );
+    const inherited = path.steps[removed].prerequisites;
+    const shift = (i) => (i > removed ? i - 1 : i);
+
+    path.steps = path.steps
+      .filter((_, i) => i !== removed)
+      .map((step) => {
+        const prereqs = step.prerequisites.flatMap((p) => (p === removed ? inherited : [p]));
+        step.prerequisites = [...new Set(prereqs.map(shift))];
+        return step;
+      });
+    path.updatedAt = new Date();
+    await path.save();
+  }
+}
+
+async function rejectIfPathLocked(res, emp, contentType, contentId) {
+  const path = await findLockingPath(emp, contentType, contentId);
+  if (!path) return false;
+
+  res.status(423).json({
+    message: `Complete the earlier steps of learning path "${path.title}" first`,
+    code: "STEP_LOCKED",
+    pathId: path._id,
+  });
+  return true;
+}
+
+// ----------------------------
+// Helper: getOrCreateSettings
+// ----------------------------
+async function getOrCreateSettings(orgId) {
+  let settings = await SystemSettings.findOne({ orgId });
+  if (!settings) {
+    settings = await SystemSettings.create({
+      orgId,
+      // defaults are applied by schema
+    });
+    await addLog(orgId, "Created default system settings", "settings");
+    emitToOrg(orgId, "settings:created", settings);
+  }
+  return settings;
+}
+
+// Settings for background jobs: never creates a document,
+// falls back to schema defaults for owners that never saved any
+async function getSettingsOrDefaults(orgId) {
+  return (await SystemSettings.findOne({ orgId })) || new SystemSettings({ orgId });
+}
+
+// ----------------------------
 // Routes: GET/PUT /api/settings
 // and section-specific endpoints
 // ----------------------------
 app.get("/api/settings", authenticate, requireAdmin, async (req, res) => {
   try {
-    const ownerId = req.user.firebaseUid;
-    const settings = await getOrCreateSettings(ownerId);
+    const orgId = req.user.orgId;
+    const settings = await getOrCreateSettings(orgId);
     res.json(settings);
   } catch (err) {
     console.error("GET /api/settings error:", err);
@@ -376,10 +1838,10 @@ app.get("/api/settings", authenticate, requireAdmin, async (req, res) => {
 
 app.put("/api/settings", authenticate, requireAdmin, async (req, res) => {
   try {
-    const ownerId = req.user.firebaseUid;
+    const orgId = req.user.orgId;
     const incoming = req.body || {};
 
-    const settings = await getOrCreateSettings(ownerId);
+    const settings = await getOrCreateSettings(orgId);
 
     // Merge top-level sections if present
     const merged = {
@@ -388,8 +1850,9 @@ app.put("/api/settings", authenticate, requireAdmin, async (req, res) => {
       updatedAt: new Date(),
     };
 
-    // Avoid overwriting ownerId/_id
+    // Avoid overwriting orgId/_id
     delete merged._id;
+    delete merged.orgId;
     delete merged.ownerId;
 
     // Apply merged fields to document
@@ -398,9 +1861,10 @@ app.put("/api/settings", authenticate, requireAdmin, async (req, res) => {
     });
 
     await settings.save();
+    await refreshWebsocketSettings(orgId);
 
-    await addLog(ownerId, "Updated system settings", "settings");
-    emitToOwner(ownerId, "settings:updated", settings);
+    await addLog(orgId, "Updated system settings", "settings", { actor: req.user, action: "settings.updated" });
+    emitToOrg(orgId, "settings:updated", settings);
 
     res.json({ message: "Settings updated", settings });
   } catch (err) {
@@ -417,7 +1881,7 @@ app.get("/api/settings/:section", authenticate, requireAdmin, async (req, res) =
     const section = req.params.section;
     if (!VALID_SECTIONS.includes(section)) return res.status(400).json({ message: "Invalid section" });
 
-    const settings = await getOrCreateSettings(req.user.firebaseUid);
+    const settings = await getOrCreateSettings(req.user.orgId);
     res.json({ [section]: settings[section] || {} });
   } catch (err) {
     console.error("GET /api/settings/:section error:", err);
@@ -431,15 +1895,20 @@ app.put("/api/settings/:section", authenticate, requireAdmin, async (req, res) =
     if (!VALID_SECTIONS.includes(section)) return res.status(400).json({ message: "Invalid section" });
 
     const payload = req.body || {};
-    const settings = await getOrCreateSettings(req.user.firebaseUid);
+    const settings = await getOrCreateSettings(req.user.orgId);
 
     // Simple shallow merge for the section
     settings[section] = { ...(settings[section] ? settings[section].toObject ? settings[section].toObject() : settings[section] : {}), ...payload };
     settings.updatedAt = new Date();
     await settings.save();
+    if (section === "websocket") await refreshWebsocketSettings(req.user.orgId);
 
-    await addLog(req.user.firebaseUid, `Updated settings:${section}`, "settings");
-    emitToOwner(req.user.firebaseUid, `settings:${section}:updated`, { section: settings[section] });
+    await addLog(req.user.orgId, `Updated settings:${section}`, "settings", {
+      actor: req.user,
+      action: "settings.updated",
+      metadata: { section },
+    });
+    emitToOrg(req.user.orgId, `settings:${section}:updated`, { section: settings[section] });
 
     res.json({ message: "Section updated", section: settings[section] });
   } catch (err) {
@@ -453,8 +1922,8 @@ app.put("/api/settings/:section", authenticate, requireAdmin, async (req, res) =
 // ----------------------------
 app.post("/api/settings/ws/test", authenticate, requireAdmin, async (req, res) => {
   try {
-    const ownerId = req.user.firebaseUid;
-    const settings = await getOrCreateSettings(ownerId);
+    const orgId = req.user.orgId;
+    const settings = await getOrCreateSettings(orgId);
 
     // testEvent payload
     const payload = {
@@ -464,9 +1933,9 @@ app.post("/api/settings/ws/test", authenticate, requireAdmin, async (req, res) =
       settingsSnapshot: settings.websocket,
     };
 
-    // Emits using existing helper - channels clients can subscribe to `${ownerId}:...`
-    emitToOwner(ownerId, `${settings.websocket.testChannelPrefix || "test"}:event`, payload);
-    await addLog(ownerId, "Sent websocket test event", "websocket");
+    // Emits using existing helper - channels clients can subscribe to `${orgId}:...`
+    emitToOrg(orgId, `${settings.websocket.testChannelPrefix || "test"}:event`, payload);
+    await addLog(orgId, "Sent websocket test event", "websocket", { actor: req.user, action: "websocket.test" });
 
     res.json({ message: "Test event emitted", payload });
   } catch (err) {
@@ -475,1015 +1944,5823 @@ app.post("/api/settings/ws/test", authenticate, requireAdmin, async (req, res) =
   }
 });
 
-// ----------------------------
-// Convenience: apply settings on server runtime (example)
-// - This demonstrates how to react to settings changes server-side.
-// - Here we subscribe to change stream and log when websocket toggled.
-// ----------------------------
-try {
-  // only if Mongo supports change streams (replica set); wrap in try/catch
-  if (mongoose.connection && mongoose.connection.db) {
-    const changeStream = SystemSettings.watch([], { fullDocument: "updateLookup" });
-    changeStream.on("change", (change) => {
-      try {
-        const full = change.fullDocument;
-        if (!full) return;
-        // Example: log when websocket.enabled flips
-        // (You can extend this to enable/disable server-side broadcast loops etc.)
-        if (change.updateDescription?.updatedFields?.["websocket.enabled"] !== undefined) {
-          console.log(`SystemSettings websocket.enabled changed for owner ${full.ownerId}:`, full.websocket.enabled);
-          addLog(full.ownerId, `WebSocket ${full.websocket.enabled ? "enabled" : "disabled"}`, "settings").catch(() => { });
-        }
-      } catch (e) {
-        console.error("SystemSettings change handler error:", e);
-      }
-    });
-  }
-} catch (err) {
-  console.warn("SystemSettings change stream not started (not a replica set?)", err.message);
-}
-/* ----------------------------------------
-   CLOUDINARY
----------------------------------------- */
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 /* ----------------------------------------
-   KEEP SERVER ALIVE
+   WEBSOCKET RUNTIME SETTINGS
+   settings.websocket is cached per org and consulted on every emit:
+   - enabled=false        no events, connections refused / dropped
+   - broadcastMode        all | admins (org feed) | employees (own events)
+   - heartbeatIntervalSec server "heartbeat" pings that refresh presence when
+                          acked; clients that don't ack stay connected (dead
+                          connections are dropped by engine.io's own ping)
+   The cache follows SystemSettings through a change stream, or by polling
+   updatedAt when change streams aren't available (no replica set).
 ---------------------------------------- */
-app.get("/ping", (req, res) => res.json({ status: "active", time: new Date() }));
+const SETTINGS_POLL_MS = 30 * 1000;
+const MIN_HEARTBEAT_SEC = 5;
+
+const websocketSettingsCache = new Map(); // orgId -> Promise<settings.websocket>
+
+function getWebsocketSettings(orgId) {
+  if (!websocketSettingsCache.has(orgId)) {
+    const loading = getSettingsOrDefaults(orgId)
+      .then((settings) => settings.toObject().websocket)
+      .catch((err) => {
+        websocketSettingsCache.delete(orgId);
+        throw err;
+      });
+    websocketSettingsCache.set(orgId, loading);
+  }
+  return websocketSettingsCache.get(orgId);
+}
 
-if (process.env.SERVER_URL) {
-  cron.schedule("*/14 * * * *", async () => {
-    try {
-      await fetch(process.env.SERVER_URL + "/ping");
-      console.log("Ping sent.");
-    } catch { }
-  });
+function orgSockets(orgId) {
+  return [...io.sockets.sockets.values()].filter((socket) => socket.data.identity?.orgId === orgId);
 }
 
-/* =====================================================
-   GET TRAINING VIDEO + QUIZ FOR EMPLOYEE
-   /api/employee/training/:id
-===================================================== */
-app.get("/api/employee/training/:id", authenticate, async (req, res) => {
-  try {
-    const videoId = req.params.id;
+// Reloads an org's settings and applies them to its open sockets
+async function refreshWebsocketSettings(orgId) {
+  const previous = await websocketSettingsCache.get(orgId)?.catch(() => null);
+  websocketSettingsCache.delete(orgId);
+  const current = await getWebsocketSettings(orgId);
 
-    // employee is logged in
-    const employeeUid = req.user.firebaseUid;
+  for (const socket of orgSockets(orgId)) {
+    if (!current.enabled) socket.disconnect(true);
+    else if (current.heartbeatIntervalSec !== previous?.heartbeatIntervalSec)
+      startHeartbeat(socket, current.heartbeatIntervalSec);
+  }
 
-    const video = await TrainingVideo.findOne({
-      _id: videoId,
-      assignedEmployees: { $in: [employeeUid] },
-    });
+  return { previous, current };
+}
 
-    if (!video)
-      return res.status(404).json({ message: "Training not found or not assigned" });
+function startHeartbeat(socket, intervalSec) {
+  clearInterval(socket.data.heartbeat);
 
-    res.json({
-      id: video._id,
-      title: video.title,
-      description: video.description,
-      videoUrl: video.videoUrl,
-      thumbnailUrl: video.thumbnailUrl,
-      quiz: video.quiz || [],   // <— IMPORTANT
+  const seconds = Math.max(MIN_HEARTBEAT_SEC, Number(intervalSec) || 30);
+
+  // The ack wait ends before the next tick, so pings never overlap
+  socket.data.heartbeat = setInterval(() => {
+    socket.timeout((seconds - 1) * 1000).emit("heartbeat", { ts: Date.now(), intervalSec: seconds }, (err) => {
+      if (!err) markSeen(socket);
     });
+  }, seconds * 1000);
+}
 
-  } catch (err) {
-    console.error("Employee Training Fetch ERROR:", err);
-    res.status(500).json({ message: "Server error fetching training" });
-  }
-});
+/*
+  Presence: connected sockets per user, refreshed by heartbeats and traffic.
+  Clients report what they have open with
+    socket.emit("presence:viewing", { contentType: "sop" | "training", contentId })  (null when closed)
+  Changes go to the org feed as "presence:update"; employees' last-seen
+  time is kept on Employee.lastSeenAt so it survives restarts.
+*/
+const PRESENCE_PERSIST_MS = 60 * 1000;
+
+// firebaseUid -> { orgId, isEmployee, sockets: Map(socketId -> viewing), connectedAt, lastSeenAt, persistedAt }
+const presence = new Map();
+
+// Most recently opened item across the user's tabs
+function presenceViewing(entry) {
+  const open = [...entry.sockets.values()].filter(Boolean);
+  if (!open.length) return null;
+
+  const { contentType, contentId, since } = open.sort((a, b) => b.since - a.since)[0];
+  return { contentType, contentId, since };
+}
 
-/* ----------------------------------------
-   AUTH MIDDLEWARE
----------------------------------------- */
-async function authenticate(req, res, next) {
-  const authHeader = req.headers.authorization || "";
-  if (!authHeader.startsWith("Bearer "))
-    return res.status(401).json({ message: "Missing token" });
+function publishPresence(socket) {
+  const { uid, orgId, employeeId, name, dept, isEmployee } = socket.data.identity;
+  if (!isEmployee) return;
 
-  const token = authHeader.split(" ")[1];
+  const entry = presence.get(uid);
 
-  try {
-    const decoded = await verifyFirebaseToken(token);
+  emitToOrg(orgId, "presence:update", {
+    employeeId,
+    firebaseUid: uid,
+    name,
+    dept,
+    online: !!entry,
+    lastSeenAt: entry?.lastSeenAt || new Date(),
+    viewing: entry ? presenceViewing(entry) : null,
+  });
+}
+
+function persistLastSeen(uid, entry, force = false) {
+  if (!entry.isEmployee) return;
+  if (!force && Date.now() - (entry.persistedAt || 0) < PRESENCE_PERSIST_MS) return;
+
+  entry.persistedAt = Date.now();
+  Employee.updateOne({ firebaseUid: uid }, { lastSeenAt: entry.lastSeenAt }).catch((err) =>
+    console.error("Presence persist error:", err)
+  );
+}
+
+function markPresent(socket) {
+  const { uid, orgId, isEmployee } = socket.data.identity;
+  const existing = presence.get(uid);
+  const entry = existing || { orgId, isEmployee, sockets: new Map(), connectedAt: new Date() };
+
+  entry.sockets.set(socket.id, null);
+  entry.lastSeenAt = new Date();
+  presence.set(uid, entry);
+
+  persistLastSeen(uid, entry, !existing);
+  if (!existing) publishPresence(socket);
+}
+
+function markSeen(socket) {
+  const uid = socket.data.identity?.uid;
+  const entry = presence.get(uid);
+  if (!entry) return;
+
+  entry.lastSeenAt = new Date();
+  persistLastSeen(uid, entry);
+}
+
+function markViewing(socket, viewing) {
+  const entry = presence.get(socket.data.identity?.uid);
+  if (!entry) return;
+
+  const valid =
+    ["sop", "training"].includes(viewing?.contentType) && mongoose.isValidObjectId(viewing?.contentId);
+
+  entry.sockets.set(
+    socket.id,
+    valid ? { contentType: viewing.contentType, contentId: String(viewing.contentId), since: new Date() } : null
+  );
+  publishPresence(socket);
+}
+
+function markGone(socket) {
+  const uid = socket.data.identity?.uid;
+  const entry = presence.get(uid);
+  if (!entry) return;
+
+  const wasViewing = !!entry.sockets.get(socket.id);
+  entry.sockets.delete(socket.id);
+
+  if (entry.sockets.size) {
+    if (wasViewing) publishPresence(socket);
+    return;
+  }
+
+  presence.delete(uid);
+  entry.lastSeenAt = new Date();
+  persistLastSeen(uid, entry, true);
+  publishPresence(socket);
+}
+
+let settingsPollTimer = null;
+
+function pollSettingsChanges() {
+  if (settingsPollTimer) return;
+
+  let since = new Date();
+  settingsPollTimer = setInterval(async () => {
+    const startedAt = new Date();
+    try {
+      const changed = await SystemSettings.find({ updatedAt: { $gt: since } }).select("orgId").lean();
+      since = startedAt;
+      for (const settings of changed)
+        if (websocketSettingsCache.has(settings.orgId)) await refreshWebsocketSettings(settings.orgId);
+    } catch (err) {
+      console.error("Settings poll error:", err);
+    }
+  }, SETTINGS_POLL_MS);
+}
+
+function watchSettingsChanges() {
+  try {
+    const changeStream = SystemSettings.watch([], { fullDocument: "updateLookup" });
+
+    changeStream.on("change", async (change) => {
+      try {
+        const orgId = change.fullDocument?.orgId;
+        if (!orgId) return websocketSettingsCache.clear(); // deleted; orgId unknown
+
+        const { previous, current } = await refreshWebsocketSettings(orgId);
+        if (previous && previous.enabled !== current.enabled)
+          await addLog(orgId, `WebSocket ${current.enabled ? "enabled" : "disabled"}`, "settings", {
+            action: current.enabled ? "websocket.enabled" : "websocket.disabled",
+          });
+      } catch (err) {
+        console.error("SystemSettings change handler error:", err);
+      }
+    });
+
+    changeStream.on("error", (err) => {
+      console.warn("SystemSettings change stream unavailable, polling instead:", err.message);
+      changeStream.close().catch(() => {});
+      pollSettingsChanges();
+    });
+  } catch (err) {
+    console.warn("SystemSettings change stream not started, polling instead:", err.message);
+    pollSettingsChanges();
+  }
+}
+
+mongoose.connection.once("open", watchSettingsChanges);
+
+/* ----------------------------------------
+   NOTIFICATIONS
+   notify() stores one Notification per recipient (the in-app inbox) and
+   hands it to the delivery channels, following settings.notifications:
+   - trainingUpdates / sopUpdates / employeeJoined  category toggles
+   - digestMode  instant | hourly | daily; channels with a digest() (email)
+                 are batched by the digest jobs instead of sent one by one
+   - emailFrom   sender of notification mail (MAIL_FROM otherwise)
+   Channels: socket, email; others via registerNotificationChannel().
+---------------------------------------- */
+function notificationMail(settings, message) {
+  return settings.emailFrom ? { from: settings.emailFrom, ...message } : message;
+}
+
+const notificationChannels = {
+  socket: {
+    deliver: async (notification) =>
+      deliverEvent(notification.orgId, notification.audience, () =>
+        io.to(userRoom(notification.recipientUid)).emit("notification:new", {
+          _id: notification._id,
+          category: notification.category,
+          event: notification.event,
+          title: notification.title,
+          body: notification.body,
+          data: notification.data,
+          createdAt: notification.createdAt,
+        })
+      ),
+  },
+
+  email: {
+    deliver: async (notification, settings) => {
+      if (!notification.recipientEmail) return;
+      await sendMail(
+        notificationMail(settings, {
+          to: notification.recipientEmail,
+          subject: notification.title,
+          text: notification.body,
+        })
+      );
+    },
+
+    digest: async (notifications, settings) => {
+      const { recipientEmail, recipientName } = notifications[0];
+      if (!recipientEmail) return;
+
+      const period = settings.digestMode === "daily" ? "today" : "in the last hour";
+      await sendMail(
+        notificationMail(settings, {
+          to: recipientEmail,
+          subject: `${notifications.length} new notification(s)`,
+          text: [
+            `Hi ${recipientName || recipientEmail},`,
+            "",
+            `Here is what happened ${period}:`,
+            "",
+            ...notifications.map((n) => `- ${n.title}${n.body ? `\n  ${n.body}` : ""}`),
+          ].join("\n"),
+        })
+      );
+    },
+  },
+};
+
+function registerNotificationChannel(name, channel) {
+  notificationChannels[name] = channel;
+}
+
+function employeeRecipient(emp) {
+  return { uid: emp.firebaseUid, email: emp.email, name: emp.name, audience: "employees" };
+}
+
+async function orgAdminRecipients(orgId) {
+  const org = await Organization.findById(orgId).select("members");
+  return (org?.members || []).map((m) => ({ uid: m.firebaseUid, email: m.email, name: m.email, audience: "admins" }));
+}
+
+async function deliverNotification(notification, settings, { skipDigest = false } = {}) {
+  const delivered = [];
+
+  for (const [name, channel] of Object.entries(notificationChannels)) {
+    if (skipDigest && channel.digest) continue;
+    try {
+      await channel.deliver(notification, settings);
+      delivered.push(name);
+    } catch (err) {
+      console.error(`Notification channel "${name}" error:`, err);
+    }
+  }
+
+  if (delivered.length)
+    await Notification.updateOne({ _id: notification._id }, { $addToSet: { deliveredVia: { $each: delivered } } });
+}
+
+// Fire-and-forget: failures are logged, never thrown to the caller
+async function notify(orgId, category, recipients, { event, title, body = "", data = {} }) {
+  try {
+    const settings = (await getSettingsOrDefaults(orgId)).toObject().notifications;
+    if (!settings[category]) return;
+
+    const digest = settings.digestMode !== "instant";
+
+    const notifications = await Notification.insertMany(
+      recipients
+        .filter((r) => r.uid)
+        .map((r) => ({
+          orgId,
+          recipientUid: r.uid,
+          recipientEmail: r.email,
+          recipientName: r.name,
+          audience: r.audience,
+          category,
+          event,
+          title,
+          body,
+          data,
+          digestPending: digest,
+        }))
+    );
+
+    for (const notification of notifications)
+      await deliverNotification(notification, settings, { skipDigest: digest });
+  } catch (err) {
+    console.error("Notification error:", err);
+  }
+}
+
+async function notifyAdmins(orgId, category, message) {
+  try {
+    await notify(orgId, category, await orgAdminRecipients(orgId), message);
+  } catch (err) {
+    console.error("Notification error:", err);
+  }
+}
+
+/*
+  Sends pending digests for orgs whose digestMode is in `modes`. The hourly
+  run also flushes "instant" orgs, which catches anything left pending
+  when an org switched away from a digest mode.
+*/
+async function sendNotificationDigests(modes) {
+  const orgIds = await Notification.distinct("orgId", { digestPending: true });
+
+  for (const orgId of orgIds) {
+    const settings = (await getSettingsOrDefaults(orgId)).toObject().notifications;
+    if (!modes.includes(settings.digestMode)) continue;
+
+    const pending = await Notification.find({ orgId, digestPending: true }).sort({ createdAt: 1 });
+
+    const byRecipient = new Map();
+    pending.forEach((n) => byRecipient.set(n.recipientUid, [...(byRecipient.get(n.recipientUid) || []), n]));
+
+    for (const notifications of byRecipient.values()) {
+      const unread = notifications.filter((n) => !n.readAt); // already seen in the app
+      const delivered = [];
+
+      for (const [name, channel] of Object.entries(notificationChannels)) {
+        if (!channel.digest || !unread.length) continue;
+        try {
+          await channel.digest(unread, settings);
+          delivered.push(name);
+        } catch (err) {
+          console.error(`Notification digest "${name}" error:`, err);
+        }
+      }
+
+      // unread ones stay pending for the next run unless a channel took them
+      const done = delivered.length ? notifications : notifications.filter((n) => n.readAt);
+      if (!done.length) continue;
+
+      await Notification.updateMany(
+        { _id: { $in: done.map((n) => n._id) } },
+        { digestPending: false, $addToSet: { deliveredVia: { $each: delivered } } }
+      );
+    }
+  }
+}
+
+cron.schedule("0 * * * *", async () => {
+  try {
+    await sendNotificationDigests(["hourly", "instant"]);
+  } catch (err) {
+    console.error("Hourly digest error:", err);
+  }
+});
+
+cron.schedule("0 7 * * *", async () => {
+  try {
+    await sendNotificationDigests(["daily"]);
+  } catch (err) {
+    console.error("Daily digest error:", err);
+  }
+});
+
+/* =====================================================
+   NOTIFICATION ROUTES
+   GET  /api/notifications?unread=true&limit=20&before=<ISO date>
+   POST /api/notifications/:id/read
+   POST /api/notifications/read-all
+   POST /api/settings/notifications/test   sends a fixed test message to the
+                                           caller through every channel now
+===================================================== */
+app.get("/api/notifications", authenticate, async (req, res) => {
+  try {
+    const filter = { recipientUid: req.user.firebaseUid };
+    if (req.query.unread === "true") filter.readAt = null;
+
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before)) return res.status(400).json({ message: "Invalid before date" });
+      filter.createdAt = { $lt: before };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).select("-recipientEmail -digestPending").sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ recipientUid: req.user.firebaseUid, readAt: null }),
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      nextBefore: notifications.length === limit ? notifications[limit - 1].createdAt : null,
+    });
+  } catch (err) {
+    console.error("LIST NOTIFICATIONS ERROR:", err);
+    res.status(500).json({ message: "Failed to load notifications" });
+  }
+});
+
+app.post("/api/notifications/:id/read", authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: "Notification not found" });
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipientUid: req.user.firebaseUid });
+    if (!notification) return res.status(404).json({ message: "Notification not found" });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ message: "Marked as read", notification });
+  } catch (err) {
+    console.error("READ NOTIFICATION ERROR:", err);
+    res.status(500).json({ message: "Failed to mark notification" });
+  }
+});
+
+app.post("/api/notifications/read-all", authenticate, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipientUid: req.user.firebaseUid, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({ message: "All marked as read", updated: result.modifiedCount });
+  } catch (err) {
+    console.error("READ ALL NOTIFICATIONS ERROR:", err);
+    res.status(500).json({ message: "Failed to mark notifications" });
+  }
+});
+
+app.post("/api/settings/notifications/test", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const settings = (await getOrCreateSettings(req.user.orgId)).toObject().notifications;
+
+    const notification = await Notification.create({
+      orgId: req.user.orgId,
+      recipientUid: req.user.firebaseUid,
+      recipientEmail: req.user.email,
+      recipientName: req.user.email,
+      audience: "admins",
+      event: "notification:test",
+      title: "Test notification",
+      body: "If you can read this, notification delivery works.",
+    });
+
+    await deliverNotification(notification, settings);
+    await addLog(req.user.orgId, "Sent test notification", "settings", { actor: req.user, action: "notification.test" });
+
+    res.json({ message: "Test notification sent", notification: await Notification.findById(notification._id) });
+  } catch (err) {
+    console.error("TEST NOTIFICATION ERROR:", err);
+    res.status(500).json({ message: "Failed to send test notification" });
+  }
+});
+
+/* ----------------------------------------
+   CLOUDINARY
+---------------------------------------- */
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+/* ----------------------------------------
+   KEEP SERVER ALIVE
+---------------------------------------- */
+app.get("/ping", (req, res) => res.json({ status: "active", time: new Date() }));
+
+if (process.env.SERVER_URL) {
+  cron.schedule("*/14 * * * *", async () => {
+    try {
+      await fetch(process.env.SERVER_URL + "/ping");
+      console.log("Ping sent.");
+    } catch { }
+  });
+}
+
+/* ----------------------------------------
+   SOP REVIEW CYCLE (daily 03:00)
+   Flags SOPs not edited or reviewed within
+   workflows.sopReviewCycleDays and assigns a reviewer
+---------------------------------------- */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Department manager if there is one, otherwise the first org admin
+async function pickSopReviewer(sop) {
+  // same departments as scopedDepts: their own plus managedDepts, own first
+  const managers = await Employee.find({
+    orgId: sop.orgId,
+    role: "manager",
+    status: "active",
+    $or: [{ dept: sop.dept }, { managedDepts: sop.dept }],
+  });
+  const manager = managers.find((m) => m.dept === sop.dept) || managers[0];
+
+  if (manager) return { id: manager.firebaseUid, name: manager.name };
+
+  const org = await Organization.findById(sop.orgId);
+  const adminMember = org?.members?.[0];
+  return { id: adminMember?.firebaseUid || null, name: adminMember?.email || "Admin" };
+}
+
+function sopReviewDueDate(sop, cycleDays) {
+  const last = Math.max(
+    new Date(sop.updated || 0).getTime(),
+    new Date(sop.review?.lastReviewedAt || 0).getTime()
+  );
+  return new Date(last + cycleDays * DAY_MS);
+}
+
+async function runSopReviewCycle() {
+  const orgIds = await SOP.distinct("orgId");
+
+  for (const orgId of orgIds) {
+    const settings = await getSettingsOrDefaults(orgId);
+    const cycleDays = settings.workflows?.sopReviewCycleDays;
+    if (!cycleDays || cycleDays <= 0) continue;
+
+    const cutoff = new Date(Date.now() - cycleDays * DAY_MS);
+
+    const sops = await SOP.find({
+      orgId,
+      updated: { $lt: cutoff },
+      "review.status": { $nin: ["due", "needs_edit"] },
+      $or: [{ "review.lastReviewedAt": null }, { "review.lastReviewedAt": { $lt: cutoff } }],
+    });
+
+    for (const sop of sops) {
+      const reviewer = await pickSopReviewer(sop);
+
+      sop.review.status = "due";
+      sop.review.dueSince = new Date();
+      sop.review.reviewerId = reviewer.id;
+      sop.review.reviewerName = reviewer.name;
+      await sop.save();
+
+      await addLog(orgId, `SOP "${sop.title}" is due for review (reviewer: ${reviewer.name})`, "sop-review", {
+        action: "sop.review-due",
+        targetType: "sop",
+        targetId: sop._id,
+        metadata: { reviewerId: reviewer.id },
+      });
+      emitToOrg(orgId, "sop:review-due", {
+        sopId: sop._id,
+        sopTitle: sop.title,
+        reviewerId: reviewer.id,
+      });
+    }
+  }
+}
+
+cron.schedule("0 3 * * *", async () => {
+  try {
+    await runSopReviewCycle();
+  } catch (err) {
+    console.error("SOP review cycle error:", err);
+  }
+});
+
+/* ----------------------------------------
+   INACTIVE EMPLOYEE SCAN (nightly 02:30)
+   Flags employees with no activity within
+   workflows.inactivityDaysToFlag
+---------------------------------------- */
+// Latest of: sign-in, training progress, SOP completion (falls back to createdAt)
+async function getEmployeeLastActivity(emp) {
+  const [training, sop] = await Promise.all([
+    EmployeeProgress.findOne({
+      employeeId: { $in: [emp.firebaseUid, emp._id.toString()] },
+    })
+      .sort({ updatedAt: -1 })
+      .select("updatedAt"),
+    EmployeeSOPProgress.findOne({
+      employeeId: emp.firebaseUid,
+      completedAt: { $ne: null },
+    })
+      .sort({ completedAt: -1 })
+      .select("completedAt"),
+  ]);
+
+  const times = [emp.lastLoginAt, training?.updatedAt, sop?.completedAt, emp.createdAt]
+    .filter(Boolean)
+    .map((d) => new Date(d).getTime());
+
+  return times.length ? new Date(Math.max(...times)) : null;
+}
+
+async function runInactivityScan() {
+  const orgIds = await Employee.distinct("orgId");
+
+  for (const orgId of orgIds) {
+    const settings = await getSettingsOrDefaults(orgId);
+    const days = settings.workflows?.inactivityDaysToFlag;
+    if (!days || days <= 0) continue;
+
+    const cutoff = new Date(Date.now() - days * DAY_MS);
+    const employees = await Employee.find({ orgId, status: "active" });
+    const flagged = [];
+
+    for (const emp of employees) {
+      const lastActivity = await getEmployeeLastActivity(emp);
+      emp.lastActivityAt = lastActivity;
+
+      if (lastActivity && lastActivity < cutoff) {
+        emp.status = "inactive";
+        emp.inactiveSince = new Date();
+        flagged.push(emp);
+      }
+
+      await emp.save();
+    }
+
+    if (flagged.length) {
+      await addLog(
+        orgId,
+        `Flagged ${flagged.length} employee(s) inactive for over ${days} days: ${flagged.map((e) => e.name).join(", ")}`,
+        "employee",
+        { action: "employee.flagged-inactive", metadata: { employeeIds: flagged.map((e) => String(e._id)), days } }
+      );
+      emitToOrg(orgId, "employee:flagged-inactive", {
+        employees: flagged.map((e) => ({ _id: e._id, name: e.name, lastActivityAt: e.lastActivityAt })),
+      });
+    }
+  }
+}
+
+cron.schedule("30 2 * * *", async () => {
+  try {
+    await runInactivityScan();
+  } catch (err) {
+    console.error("Inactivity scan error:", err);
+  }
+});
+
+/* ----------------------------------------
+   ASSIGNMENT DUE DATES & ESCALATION (daily 04:00)
+   Each assignment gets dueAt = assignedAt + dueDays
+   (content override, else workflows.assignmentDueDays).
+   Overdue items are logged, emitted to the org and
+   mailed to the employee's manager, then repeated
+   every ESCALATION_REPEAT_DAYS while still overdue.
+---------------------------------------- */
+const ESCALATION_REPEAT_DAYS = 7;
+
+function validDueDays(value) {
+  return value === undefined || value === null || (typeof value === "number" && value >= 0);
+}
+
+async function resolveDueDays(orgId, item) {
+  if (item.dueDays !== null && item.dueDays !== undefined) return item.dueDays;
+  const settings = await getSettingsOrDefaults(orgId);
+  return settings.workflows?.assignmentDueDays || 0;
+}
+
+function dueDateFrom(start, days) {
+  return days > 0 ? new Date(new Date(start).getTime() + days * DAY_MS) : null;
+}
+
+// Mirrors the item's current assignees: new ones get a deadline, removed ones lose theirs
+async function syncAssignmentDues(contentType, item) {
+  if (!item) return;
+
+  const employees =
+    contentType === "sop"
+      ? await Employee.find({ _id: { $in: item.assignedTo || [] } }).select("_id firebaseUid")
+      : await Employee.find({ orgId: item.orgId, firebaseUid: { $in: item.assignedEmployees || [] } }).select(
+          "_id firebaseUid"
+        );
+
+  await AssignmentDue.deleteMany({
+    contentType,
+    contentId: item._id,
+    employeeId: { $nin: employees.map((e) => e._id) },
+  });
+
+  if (!employees.length) return;
+
+  const now = new Date();
+  const dueAt = dueDateFrom(now, await resolveDueDays(item.orgId, item));
+
+  await AssignmentDue.bulkWrite(
+    employees.map((emp) => ({
+      updateOne: {
+        filter: { contentType, contentId: item._id, employeeId: emp._id },
+        update: {
+          $setOnInsert: {
+            orgId: item.orgId,
+            employeeUid: emp.firebaseUid,
+            assignedAt: now,
+            dueAt,
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+}
+
+// Re-opens the deadline for employees who must complete an item again (e.g. SOP re-ack)
+async function restartAssignmentDues(contentType, item, employeeUids) {
+  if (!employeeUids.length) return;
+
+  const now = new Date();
+  await AssignmentDue.updateMany(
+    { contentType, contentId: item._id, employeeUid: { $in: employeeUids } },
+    {
+      assignedAt: now,
+      dueAt: dueDateFrom(now, await resolveDueDays(item.orgId, item)),
+      completedAt: null,
+      escalatedAt: null,
+      escalationCount: 0,
+    }
+  );
+}
+
+/*
+  Completion lookup for { contentType, contentId, employeeId, employeeUid } entries.
+  Returns a set of "type:contentId:employee" keys; use isEntryCompleted() to test.
+  SOPs needing re-acknowledgement count as open.
+*/
+async function loadCompletedKeys(entries) {
+  const done = new Set();
+
+  const sopDues = entries.filter((d) => d.contentType === "sop");
+  const trainingDues = entries.filter((d) => d.contentType === "training");
+
+  if (sopDues.length) {
+    const progress = await EmployeeSOPProgress.find({
+      sopId: { $in: sopDues.map((d) => d.contentId) },
+      employeeId: { $in: sopDues.map((d) => d.employeeUid) },
+      completed: true,
+      reackRequired: { $ne: true },
+    })
+      .select("employeeId sopId")
+      .lean();
+    progress.forEach((p) => done.add(`sop:${p.sopId}:${p.employeeId}`));
+  }
+
+  if (trainingDues.length) {
+    const videoIds = [...new Set(trainingDues.map((d) => d.contentId.toString()))];
+
+    // training progress is keyed by firebaseUid or, on older rows, Employee _id
+    const progress = await EmployeeProgress.find({
+      videoId: { $in: videoIds },
+      employeeId: { $in: trainingDues.flatMap((d) => [d.employeeUid, d.employeeId.toString()]) },
+      completed: true,
+    })
+      .select("employeeId videoId")
+      .lean();
+    progress.forEach((p) => done.add(`training:${p.videoId}:${p.employeeId}`));
+
+    const videos = await TrainingVideo.find({ _id: { $in: videoIds } }).select("completedBy").lean();
+    videos.forEach((v) => (v.completedBy || []).forEach((uid) => done.add(`training:${v._id}:${uid}`)));
+  }
+
+  return done;
+}
+
+function isEntryCompleted(done, d) {
+  return (
+    done.has(`${d.contentType}:${d.contentId}:${d.employeeUid}`) ||
+    done.has(`${d.contentType}:${d.contentId}:${d.employeeId}`)
+  );
+}
+
+// Adds `completed` and `overdue` to each due record
+async function resolveDueStates(dues) {
+  const now = new Date();
+  const done = await loadCompletedKeys(dues);
+
+  return dues.map((d) => {
+    const completed = !!d.completedAt || isEntryCompleted(done, d);
+    return { ...d, completed, overdue: !completed && !!d.dueAt && d.dueAt < now };
+  });
+}
+
+// Open, overdue assignments of the given employees
+async function loadOverdueAssignments(orgId, employees) {
+  const dues = await AssignmentDue.find({
+    orgId,
+    employeeId: { $in: employees.map((e) => e._id) },
+    dueAt: { $lt: new Date() },
+    completedAt: null,
+  }).lean();
+
+  return (await resolveDueStates(dues)).filter((d) => d.overdue);
+}
+
+function countOverdueByDept(overdue, employees) {
+  const deptById = new Map(employees.map((e) => [e._id.toString(), e.dept || ""]));
+  const counts = {};
+  overdue.forEach((d) => {
+    const dept = deptById.get(d.employeeId.toString()) ?? "";
+    counts[dept] = (counts[dept] || 0) + 1;
+  });
+  return counts;
+}
+
+// Due date + overdue flag for an employee's own listing, keyed by content id
+async function loadEmployeeDueMap(emp, contentType) {
+  const dues = await AssignmentDue.find({ contentType, employeeId: emp._id }).lean();
+  const resolved = await resolveDueStates(dues);
+  return new Map(resolved.map((d) => [d.contentId.toString(), d]));
+}
+
+// Managers of the employee's department, falling back to the org admins
+async function findEscalationContacts(emp) {
+  const managers = await Employee.find({
+    orgId: emp.orgId,
+    role: "manager",
+    status: "active",
+    _id: { $ne: emp._id },
+    $or: [{ dept: emp.dept }, { managedDepts: emp.dept }],
+  }).select("name email");
+
+  if (managers.length) return managers.map((m) => ({ name: m.name, email: m.email }));
+
+  const org = await Organization.findById(emp.orgId);
+  return (org?.members || []).map((m) => ({ name: m.email, email: m.email }));
+}
+
+async function runOverdueEscalation() {
+  const now = new Date();
+  const repeatCutoff = new Date(now.getTime() - ESCALATION_REPEAT_DAYS * DAY_MS);
+
+  const dues = await AssignmentDue.find({
+    dueAt: { $lt: now },
+    completedAt: null,
+    $or: [{ escalatedAt: null }, { escalatedAt: { $lt: repeatCutoff } }],
+  }).lean();
+
+  for (const due of await resolveDueStates(dues)) {
+    if (due.completed) {
+      await AssignmentDue.updateOne({ _id: due._id }, { completedAt: now });
+      continue;
+    }
+
+    const emp = await Employee.findById(due.employeeId);
+    if (!emp || emp.status === "deactivated") continue;
+
+    const Model = due.contentType === "sop" ? SOP : TrainingVideo;
+    const item = await Model.findById(due.contentId).select("title");
+    if (!item) {
+      await AssignmentDue.deleteOne({ _id: due._id });
+      continue;
+    }
+
+    const label = due.contentType === "sop" ? "SOP" : "training";
+    const dueDate = due.dueAt.toISOString().slice(0, 10);
+    const contacts = await findEscalationContacts(emp);
+
+    for (const contact of contacts) {
+      try {
+        await sendMail({
+          to: contact.email,
+          subject: `Overdue: ${emp.name} - ${label} "${item.title}"`,
+          text: [
+            `Hi ${contact.name},`,
+            "",
+            `${emp.name} (${emp.dept || "no department"}) has not completed the ${label} "${item.title}", which was due on ${dueDate}.`,
+          ].join("\n"),
+        });
+      } catch (err) {
+        console.error("Escalation mail error:", err);
+      }
+    }
+
+    await AssignmentDue.updateOne(
+      { _id: due._id },
+      { escalatedAt: now, $inc: { escalationCount: 1 } }
+    );
+
+    await addLog(
+      emp.orgId,
+      `${emp.name} is overdue on ${label} "${item.title}" (due ${dueDate}) - notified ${contacts.length} manager(s)`,
+      "overdue",
+      {
+        action: "assignment.overdue",
+        targetType: due.contentType,
+        targetId: due.contentId,
+        metadata: { employeeId: emp._id, dueAt: due.dueAt },
+      }
+    );
+    emitToOrg(emp.orgId, "assignment:overdue", {
+      contentType: due.contentType,
+      contentId: due.contentId,
+      title: item.title,
+      employeeId: emp._id,
+      employeeName: emp.name,
+      dept: emp.dept,
+      dueAt: due.dueAt,
+      escalationCount: due.escalationCount + 1,
+    });
+    emitToEmployee(emp.orgId, emp.firebaseUid, "assignment:overdue", {
+      contentType: due.contentType,
+      contentId: due.contentId,
+      title: item.title,
+      dueAt: due.dueAt,
+    });
+  }
+}
+
+cron.schedule("0 4 * * *", async () => {
+  try {
+    await runOverdueEscalation();
+  } catch (err) {
+    console.error("Overdue escalation error:", err);
+  }
+});
+
+/* =====================================================
+   GET TRAINING VIDEO + QUIZ FOR EMPLOYEE
+   /api/employee/training/:id
+===================================================== */
+app.get("/api/employee/training/:id", authenticate, async (req, res) => {
+  try {
+    // employee is logged in; org-scoped, assigned (or org-wide) trainings only
+    const ctx = await loadPlaybackContext(req, res);
+    if (!ctx) return;
+
+    const { emp, video } = ctx;
+    const employeeUid = emp.firebaseUid;
+
+    if (await rejectIfPathLocked(res, emp, "training", video._id)) return;
+
+    res.json({
+      id: video._id,
+      title: video.title,
+      description: video.description,
+      videoUrl: video.videoUrl,
+      thumbnailUrl: video.thumbnailUrl,
+      quiz: publicQuiz(video),   // correct answers stay on the server
+      quizStatus: await getQuizStatus(employeeUid, video),
+    });
+
+  } catch (err) {
+    console.error("Employee Training Fetch ERROR:", err);
+    res.status(500).json({ message: "Server error fetching training" });
+  }
+});
+
+/* ----------------------------------------
+   AUTH MIDDLEWARE
+---------------------------------------- */
+async function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization || "";
+  if (!authHeader.startsWith("Bearer "))
+    return res.status(401).json({ message: "Missing token" });
+
+  const token = authHeader.split(" ")[1];
+
+  try {
+    const decoded = await verifyFirebaseToken(token);
+
+    // Check employee first
+    const emp = await Employee.findOne({ firebaseUid: decoded.user_id });
+
+    if (emp) {
+      if (emp.status === "deactivated")
+        return res.status(403).json({
+          message: "Your account has been deactivated. Please contact your administrator.",
+          code: "ACCOUNT_DEACTIVATED",
+        });
+
+      await recordEmployeeLogin(emp, decoded);
+
+      req.user = {
+        ...emp.toObject(),
+        role: "employee",
+        employeeRole: emp.role,
+        isEmployee: true,
+      };
+      return next();
+    }
+
+    // Check admin user
+    let user = await User.findOne({ firebaseUid: decoded.user_id });
+
+    // Create admin user if first time
+    if (!user) {
+      user = await new User({
+        firebaseUid: decoded.user_id,
+        email: decoded.email,
+        role: "admin", // <-- IMPORTANT
+      }).save();
+    }
+
+    if (!user.orgId) await ensureUserOrganization(user);
+
+    req.user = { ...user.toObject(), isEmployee: false };
+    next();
+  } catch (err) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+}
+
+// Tracks sign-in time from the token's auth_time; a flagged employee
+// who signs in again is active again.
+async function recordEmployeeLogin(emp, decoded) {
+  if (!decoded.auth_time) return;
+
+  const loginAt = new Date(decoded.auth_time * 1000);
+  if (emp.lastLoginAt && emp.lastLoginAt >= loginAt) return;
+
+  emp.lastLoginAt = loginAt;
+  emp.lastActivityAt = loginAt;
+
+  const wasFlagged = emp.status === "inactive";
+  if (wasFlagged) {
+    emp.status = "active";
+    emp.inactiveSince = null;
+  }
+
+  await emp.save();
+
+  if (wasFlagged) {
+    await addLog(emp.orgId, `${emp.name} signed in again and is no longer inactive`, "employee", {
+      actor: emp,
+      action: "employee.reactivated",
+      targetType: "employee",
+      targetId: emp._id,
+    });
+    emitToOrg(emp.orgId, "employee:reactivated", { employeeId: emp._id, name: emp.name });
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (req.user.role !== "admin") return res.status(403).json({ message: "Admin only" });
+  if (!req.user.orgId) return noOrganization(res);
+  next();
+}
+
+function noOrganization(res) {
+  return res.status(403).json({
+    message: "You are not part of an organization yet. Accept your invitation first.",
+    code: "NO_ORGANIZATION",
+  });
+}
+
+/* ----------------------------------------
+   PERMISSION POLICY
+   admin   → everything in their tenant
+   manager → view content, progress, reports, assign and review SOPs,
+             only for employees (and SOPs) in their department(s)
+   staff   → their own learning only
+---------------------------------------- */
+const ROLE_PERMISSIONS = {
+  admin: [
+    "content:view",
+    "content:edit",
+    "content:delete",
+    "content:review",
+    "assignments:manage",
+    "employees:view",
+    "employees:manage",
+    "progress:view",
+    "reports:view",
+    "stats:view",
+  ],
+  manager: [
+    "content:view",
+    "content:review",
+    "assignments:manage",
+    "employees:view",
+    "progress:view",
+    "reports:view",
+    "stats:view",
+    "self:learn",
+  ],
+  staff: ["self:learn"],
+};
+
+function policyRole(user) {
+  if (!user.isEmployee) return user.role === "admin" ? "admin" : null;
+  return ["manager", "owner"].includes(user.employeeRole) ? "manager" : "staff";
+}
+
+// Departments a manager may act on; null = unrestricted
+function scopedDepts(user) {
+  if (!user.isEmployee || user.employeeRole === "owner") return null;
+  return [user.dept, ...(user.managedDepts || [])].filter(Boolean);
+}
+
+/*
+  authorize("progress:view") → 403 unless the caller's role has the
+  permission. Sets req.scope = { role, orgId, depts } for the handler.
+*/
+function authorize(permission) {
+  return (req, res, next) => {
+    const role = policyRole(req.user);
+
+    if (!role || !ROLE_PERMISSIONS[role].includes(permission))
+      return res.status(403).json({ message: "Not allowed" });
+
+    if (!req.user.orgId) return noOrganization(res);
+
+    req.scope = {
+      role,
+      orgId: req.user.orgId,
+      depts: role === "manager" ? scopedDepts(req.user) : null,
+    };
+    next();
+  };
+}
+
+// populate() options that hide assignees outside a manager's departments
+function assigneePopulate(req, select) {
+  return {
+    path: "assignedTo",
+    select,
+    match: req.scope.depts ? { dept: { $in: req.scope.depts } } : {},
+  };
+}
+
+// Mongo filter for the employees the caller may see / act on
+function employeeScope(req) {
+  const filter = { orgId: req.scope.orgId };
+  if (req.scope.depts) filter.dept = { $in: req.scope.depts };
+  return filter;
+}
+
+// SOPs a manager reviews: their departments', plus any they were picked to review
+function sopReviewScope(req) {
+  const filter = { orgId: req.scope.orgId };
+  if (req.scope.depts)
+    filter.$or = [{ dept: { $in: req.scope.depts } }, { "review.reviewerId": req.user.firebaseUid }];
+  return filter;
+}
+
+function inEmployeeScope(req, emp) {
+  return (
+    !!emp &&
+    emp.orgId === req.scope.orgId &&
+    (!req.scope.depts || req.scope.depts.includes(emp.dept))
+  );
+}
+
+
+/* ----------------------------------------
+   ORGANIZATIONS
+---------------------------------------- */
+const ORG_INVITE_TTL_DAYS = 7;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function appUrl(pathname) {
+  return `${process.env.APP_URL || "http://localhost:5173"}${pathname}`;
+}
+
+function findPendingOrgInvitation(email) {
+  return OrgInvitation.findOne({
+    email: (email || "").toLowerCase(),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+/*
+  First sign-in of an admin: someone with a pending invitation waits for
+  it to be accepted, anyone else gets a new organization of their own.
+*/
+async function ensureUserOrganization(user) {
+  let org = await Organization.findOne({ legacyOwnerId: user.firebaseUid });
+
+  // a legacy owner signing in before the startup migration reached them
+  if (!org && (await hasLegacyOwnerData(user.firebaseUid))) org = await migrateOwner(user.firebaseUid);
+
+  if (!org) {
+    if (await findPendingOrgInvitation(user.email)) return;
+
+    org = await Organization.create({
+      name: user.email ? `${user.email.split("@")[0]}'s organization` : undefined,
+      members: [{ firebaseUid: user.firebaseUid, email: user.email }],
+    });
+  }
+
+  user.orgId = org._id.toString();
+  await user.save();
+}
+
+// Every model that is scoped to an organization
+function tenantModels() {
+  return [Employee, SOP, SOPRevision, TrainingVideo, SystemLog, SystemSettings, QuizAttempt, AssignmentRule];
+}
+
+/*
+  One-off, idempotent: every distinct legacy ownerId becomes an
+  organization with that owner as its admin, and all their records get
+  the organization's id. Raw collection updates skip the immutability
+  hooks on SOP revisions.
+*/
+async function migrateOwnersToOrganizations() {
+  const ownerIds = new Set();
+
+  for (const Model of tenantModels()) {
+    const ids = await Model.collection.distinct("ownerId", {
+      orgId: null,
+      ownerId: { $nin: [null, ""] },
+    });
+    ids.forEach((id) => ownerIds.add(id));
+  }
+
+  for (const ownerId of ownerIds) await migrateOwner(ownerId);
+
+  // SystemSettings was unique on ownerId, it is unique on orgId now
+  await SystemSettings.syncIndexes();
+}
+
+async function hasLegacyOwnerData(ownerId) {
+  for (const Model of tenantModels())
+    if (await Model.collection.findOne({ ownerId, orgId: null }, { projection: { _id: 1 } })) return true;
+  return false;
+}
+
+// Upserts on legacyOwnerId, so the startup migration and a concurrent
+// sign-in of the same owner end up in the same organization
+async function migrateOwner(ownerId) {
+  const user = await User.findOne({ firebaseUid: ownerId });
+
+  const org = await Organization.findOneAndUpdate(
+    { legacyOwnerId: ownerId },
+    {
+      $setOnInsert: {
+        ...(user?.email && { name: `${user.email.split("@")[0]}'s organization` }),
+        members: [{ firebaseUid: ownerId, email: user?.email }],
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  const orgId = org._id.toString();
+
+  for (const Model of tenantModels())
+    await Model.collection.updateMany({ ownerId, orgId: null }, { $set: { orgId } });
+
+  await User.updateOne({ firebaseUid: ownerId, orgId: null }, { orgId });
+  console.log(`Migrated owner ${ownerId} to organization ${orgId}`);
+
+  return org;
+}
+
+/* ----------------------------------------
+   LOG + WEBSOCKET BROADCAST
+---------------------------------------- */
+/*
+  addLog(orgId, message, type, { actor, action, targetType, targetId, metadata })
+  actor is the acting user or employee document; leave it out for jobs.
+  action defaults to the type.
+*/
+async function addLog(
+  orgId,
+  message,
+  type = "system",
+  { actor = null, action = null, targetType = null, targetId = null, metadata = {} } = {}
+) {
+  const subjectIds = [
+    targetId,
+    ...Object.entries(metadata)
+      .filter(([key]) => /Ids?$/.test(key))
+      .flatMap(([, value]) => value),
+  ]
+    .filter(Boolean)
+    .map(String);
+
+  const log = await SystemLog.create({
+    orgId,
+    message,
+    type,
+    actorId: actor?.firebaseUid || null,
+    actorName: actor ? actor.name || actor.email || null : null,
+    action: action || type,
+    targetType,
+    targetId: targetId ? String(targetId) : null,
+    metadata,
+    subjectIds: [...new Set(subjectIds)],
+  });
+  emitToOrg(orgId, "log:new", log);
+}
+
+/* =====================================================
+   ORGANIZATION + ADMIN MEMBERS
+   GET    /api/organization
+   PUT    /api/organization                    { name }
+   DELETE /api/organization/members/:uid
+   GET    /api/organization/invitations
+   POST   /api/organization/invitations        { email }
+   DELETE /api/organization/invitations/:id
+   POST   /api/organization/invitations/accept { token }
+===================================================== */
+app.get("/api/organization", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const org = await Organization.findById(req.user.orgId);
+    if (!org) return res.status(404).json({ message: "Organization not found" });
+
+    res.json(org);
+  } catch (err) {
+    console.error("GET ORG ERROR:", err);
+    res.status(500).json({ message: "Failed to load organization" });
+  }
+});
+
+app.put("/api/organization", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) return res.status(400).json({ message: "Name is required" });
+
+    const org = await Organization.findByIdAndUpdate(req.user.orgId, { name }, { new: true });
+    if (!org) return res.status(404).json({ message: "Organization not found" });
+
+    await addLog(req.user.orgId, `Organization renamed to "${name}"`, "organization", {
+      actor: req.user,
+      action: "organization.renamed",
+    });
+    emitToOrg(req.user.orgId, "organization:updated", org);
+
+    res.json(org);
+  } catch (err) {
+    console.error("UPDATE ORG ERROR:", err);
+    res.status(500).json({ message: "Failed to update organization" });
+  }
+});
+
+app.delete("/api/organization/members/:uid", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+
+    const org = await Organization.findById(orgId);
+    if (!org) return res.status(404).json({ message: "Organization not found" });
+
+    const member = org.members.find((m) => m.firebaseUid === req.params.uid);
+    if (!member) return res.status(404).json({ message: "Member not found" });
+
+    if (org.members.length === 1)
+      return res.status(400).json({ message: "An organization needs at least one admin" });
+
+    org.members = org.members.filter((m) => m.firebaseUid !== req.params.uid);
+    await org.save();
+
+    await User.updateOne({ firebaseUid: req.params.uid, orgId }, { orgId: null });
+
+    await addLog(orgId, `Removed admin ${member.email || member.firebaseUid}`, "organization", {
+      actor: req.user,
+      action: "organization.member-removed",
+      targetType: "admin",
+      targetId: member.firebaseUid,
+    });
+    emitToOrg(orgId, "organization:member-removed", { firebaseUid: member.firebaseUid });
+
+    res.json({ message: "Member removed" });
+  } catch (err) {
+    console.error("REMOVE MEMBER ERROR:", err);
+    res.status(500).json({ message: "Failed to remove member" });
+  }
+});
+
+app.get("/api/organization/invitations", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const invitations = await OrgInvitation.find({
+      orgId: req.user.orgId,
+      acceptedAt: null,
+      revokedAt: null,
+    })
+      .select("-tokenHash")
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (err) {
+    console.error("LIST ORG INVITES ERROR:", err);
+    res.status(500).json({ message: "Failed to load invitations" });
+  }
+});
+
+app.post("/api/organization/invitations", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+    const email = String(req.body.email || "").trim().toLowerCase();
+
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ message: "Invalid email" });
+
+    const org = await Organization.findById(orgId);
+    if (org.members.some((m) => (m.email || "").toLowerCase() === email))
+      return res.status(409).json({ message: "Already an admin of this organization" });
+
+    // one pending invitation per email
+    await OrgInvitation.updateMany(
+      { orgId, email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invitation = await OrgInvitation.create({
+      orgId,
+      email,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.firebaseUid,
+      expiresAt: new Date(Date.now() + ORG_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    await sendMail({
+      to: email,
+      subject: `Join ${org.name} on TrainDesk`,
+      text: [
+        `You have been invited to be an admin of ${org.name}.`,
+        "Sign in with this email address, then open:",
+        appUrl(`/join?token=${token}`),
+        "",
+        `The invitation expires in ${ORG_INVITE_TTL_DAYS} days.`,
+      ].join("\n"),
+    });
+
+    await addLog(orgId, `Invited ${email} as admin`, "organization", {
+      actor: req.user,
+      action: "organization.invited",
+      metadata: { email },
+    });
+    emitToOrg(orgId, "organization:invited", { email });
+
+    res.json({
+      message: "Invitation created",
+      invitation: { _id: invitation._id, email, expiresAt: invitation.expiresAt },
+      // shown once: only the hash is stored
+      token,
+      acceptUrl: appUrl(`/join?token=${token}`),
+    });
+  } catch (err) {
+    console.error("CREATE ORG INVITE ERROR:", err);
+    res.status(500).json({ message: "Failed to create invitation" });
+  }
+});
+
+app.delete("/api/organization/invitations/:id", authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Invitation not found" });
+
+    const invitation = await OrgInvitation.findOneAndUpdate(
+      { _id: req.params.id, orgId: req.user.orgId, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) return res.status(404).json({ message: "Invitation not found" });
+
+    await addLog(req.user.orgId, `Revoked admin invitation for ${invitation.email}`, "organization", {
+      actor: req.user,
+      action: "organization.invitation-revoked",
+      metadata: { email: invitation.email },
+    });
+
+    res.json({ message: "Invitation revoked" });
+  } catch (err) {
+    console.error("REVOKE ORG INVITE ERROR:", err);
+    res.status(500).json({ message: "Failed to revoke invitation" });
+  }
+});
+
+// Any signed-in admin account whose email matches the invitation
+app.post("/api/organization/invitations/accept", authenticate, async (req, res) => {
+  try {
+    if (req.user.isEmployee)
+      return res.status(403).json({ message: "Employee accounts cannot join as admin" });
+
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: "Missing token" });
+
+    const invitation = await OrgInvitation.findOne({ tokenHash: hashToken(token) });
+
+    if (!invitation || invitation.revokedAt || invitation.acceptedAt)
+      return res.status(404).json({ message: "Invitation not found or no longer valid" });
+    if (invitation.expiresAt < new Date())
+      return res.status(410).json({ message: "Invitation expired" });
+    if ((req.user.email || "").toLowerCase() !== invitation.email)
+      return res.status(403).json({ message: "This invitation was sent to a different email" });
+
+    const org = await Organization.findById(invitation.orgId);
+    if (!org) return res.status(404).json({ message: "Organization not found" });
+
+    // leave the previous organization, if any
+    if (req.user.orgId && req.user.orgId !== invitation.orgId) {
+      await Organization.updateOne(
+        { _id: req.user.orgId },
+        { $pull: { members: { firebaseUid: req.user.firebaseUid } } }
+      );
+    }
+
+    if (!org.members.some((m) => m.firebaseUid === req.user.firebaseUid)) {
+      org.members.push({ firebaseUid: req.user.firebaseUid, email: req.user.email });
+      await org.save();
+    }
+
+    await User.updateOne({ firebaseUid: req.user.firebaseUid }, { orgId: invitation.orgId, role: "admin" });
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = req.user.firebaseUid;
+    await invitation.save();
+
+    await addLog(invitation.orgId, `${req.user.email} joined as admin`, "organization", {
+      actor: req.user,
+      action: "organization.member-joined",
+    });
+    emitToOrg(invitation.orgId, "organization:member-joined", { email: req.user.email });
+
+    res.json({ message: "Joined organization", organization: org });
+  } catch (err) {
+    console.error("ACCEPT ORG INVITE ERROR:", err);
+    res.status(500).json({ message: "Failed to accept invitation" });
+  }
+});
+
+/* ----------------------------------------
+   FILE UPLOADS & DOWNLOADS
+   GET  /api/storage/config     how the client should upload
+   POST /api/uploads            multipart "file" (+ folder), any driver
+   GET  /api/files/*key         signed download of locally stored files
+---------------------------------------- */
+const UPLOAD_FOLDERS = ["training_videos", "training_thumbnails", "sop-attachments", "misc"];
+
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: (Number(process.env.UPLOAD_MAX_MB) || 500) * 1024 * 1024 },
+});
+
+// Runs multer and turns its errors (size limit, rejected type) into 400s
+function acceptUpload(field, uploader = upload) {
+  return (req, res, next) =>
+    uploader.single(field)(req, res, (err) => {
+      if (err) return res.status(400).json({ message: err.message });
+      next();
+    });
+}
+
+app.get("/api/storage/config", authenticate, (req, res) => {
+  const driver = storageDriverName();
+  res.json({
+    driver,
+    // direct-to-Cloudinary uploads still use /api/cloudinary-signature
+    directUpload: driver === "cloudinary",
+    uploadEndpoint: "/api/uploads",
+    maxUploadMb: Number(process.env.UPLOAD_MAX_MB) || 500,
+  });
+});
+
+app.post("/api/uploads", authenticate, authorize("content:edit"), acceptUpload("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+
+    const folder = UPLOAD_FOLDERS.includes(req.body.folder) ? req.body.folder : "misc";
+    const stored = await storeFile(req.file.path, {
+      folder: `${req.user.orgId}/${folder}`,
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
+    });
+
+    res.json({
+      url: stored.url,
+      key: stored.key,
+      driver: storageDriverName(),
+      name: req.file.originalname,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+    });
+  } catch (err) {
+    console.error("UPLOAD ERROR:", err);
+    if (req.file) fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+    res.status(500).json({ message: "Upload failed" });
+  }
+});
+
+// Public, but only with a valid signature (and unexpired, when the link carries an expiry)
+app.get("/api/files/*key", async (req, res) => {
+  try {
+    const key = [].concat(req.params.key).join("/");
+    const { sig = "", expires = "" } = req.query;
+
+    // only expiring links are accepted; the stored form is not a download link
+    if (!/^\d+$/.test(String(expires)) || !isValidFileSignature(key, String(expires), sig))
+      return res.status(403).json({ message: "Invalid file signature" });
+
+    if (Number(expires) < Date.now() / 1000)
+      return res.status(410).json({ message: "Download link expired" });
+
+    const filePath = resolveLocalFile(key);
+    if (!fs.existsSync(filePath)) return res.status(404).json({ message: "File not found" });
+
+    // never rendered as a page on our origin, whatever the upload claimed to be
+    res.set("X-Content-Type-Options", "nosniff");
+    res.attachment(path.basename(filePath));
+    res.sendFile(filePath);
+  } catch (err) {
+    console.error("FILE DOWNLOAD ERROR:", err);
+    if (!res.headersSent) res.status(500).json({ message: "Failed to load file" });
+  }
+});
+
+/* ----------------------------------------
+   CLOUDINARY SIGNATURE
+---------------------------------------- */
+app.get("/api/cloudinary-signature", (req, res) => {
+  if (storageDriverName() !== "cloudinary")
+    return res.status(400).json({ message: "Cloudinary is not the active storage driver; upload via /api/uploads" });
+
+  try {
+    const timestamp = Math.round(Date.now() / 1000);
+    const folder = req.query.folder || "training_videos";
+
+    const signature = cloudinary.utils.api_sign_request(
+      { timestamp, folder },
+      process.env.CLOUDINARY_API_SECRET
+    );
+
+    res.json({
+      signature,
+      timestamp,
+      folder,
+      apiKey: process.env.CLOUDINARY_API_KEY,
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+    });
+  } catch (err) {
+    console.error("Cloudinary Signature Error", err);
+    res.status(500).json({ error: "Cannot generate signature" });
+  }
+});
+
+/* =====================================================
+   ACTIVITY LOG (ActivityFeed.jsx)
+   GET /api/logs?type=sop,training&action=&from=&to=&actor=<uid>
+                &targetType=&subject=<id>&q=<text>&limit=50&cursor=
+       → { logs, nextCursor } when limit or cursor is given,
+         otherwise the latest 20 as a plain array   (newest first)
+   GET /api/logs/export         same filters, CSV
+   subject matches the target or any related id (employee, SOP, ...).
+   Managers only see entries about or by employees of their departments.
+===================================================== */
+const LOG_PAGE_DEFAULT = 20;
+const LOG_PAGE_MAX = 100;
+const LOG_EXPORT_MAX = 10000;
+
+async function buildLogFilter(req) {
+  const { type, action, from, to, actor, targetType, subject, q } = req.query;
+  const filter = { orgId: req.scope.orgId };
+
+  if (req.scope.depts) {
+    const employees = await Employee.find(employeeScope(req)).select("_id firebaseUid").lean();
+    filter.$and = [
+      {
+        $or: [
+          { subjectIds: { $in: employees.map((e) => e._id.toString()) } },
+          { actorId: { $in: employees.map((e) => e.firebaseUid) } },
+        ],
+      },
+    ];
+  }
+
+  if (type) filter.type = { $in: String(type).split(",").map((t) => t.trim()) };
+  if (action) filter.action = String(action);
+  if (actor) filter.actorId = String(actor);
+  if (targetType) filter.targetType = String(targetType);
+  if (subject) filter.subjectIds = String(subject);
+  if (q) filter.$text = { $search: String(q) };
+
+  const fromDate = parseReportDate(from, false);
+  const toDate = parseReportDate(to, true);
+  if (fromDate === undefined || toDate === undefined) return { error: "Invalid date" };
+  if (fromDate || toDate)
+    filter.createdAt = { ...(fromDate && { $gte: fromDate }), ...(toDate && { $lte: toDate }) };
+
+  return { filter };
+}
+
+function encodeLogCursor(log) {
+  return Buffer.from(`${log.createdAt.toISOString()}|${log._id}`).toString("base64url");
+}
+
+function decodeLogCursor(value) {
+  const [time, id] = Buffer.from(String(value), "base64url").toString().split("|");
+  const createdAt = new Date(time);
+  if (isNaN(createdAt) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+}
+
+app.get("/api/logs", authenticate, authorize("reports:view"), async (req, res) => {
+  try {
+    const { filter, error } = await buildLogFilter(req);
+    if (error) return res.status(400).json({ message: error });
+
+    if (req.query.cursor) {
+      const cursor = decodeLogCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ message: "Invalid cursor" });
+
+      // strictly older than the last entry of the previous page
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+      ];
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || LOG_PAGE_DEFAULT, 1), LOG_PAGE_MAX);
+
+    const logs = await SystemLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const page = logs.slice(0, limit);
+
+    // the original feed shape, for clients that don't page
+    if (!req.query.limit && !req.query.cursor) return res.json(page);
+
+    res.json({
+      logs: page,
+      nextCursor: logs.length > limit ? encodeLogCursor(page[page.length - 1]) : null,
+    });
+  } catch (err) {
+    console.error("LOGS ERROR:", err);
+    res.status(500).json({ message: "Failed to load logs" });
+  }
+});
+
+app.get("/api/logs/export", authenticate, authorize("reports:view"), async (req, res) => {
+  try {
+    const { filter, error } = await buildLogFilter(req);
+    if (error) return res.status(400).json({ message: error });
+
+    const logs = await SystemLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(LOG_EXPORT_MAX)
+      .lean();
+
+    const csv = toCsv(
+      ["Time", "Type", "Action", "Actor", "Actor ID", "Target type", "Target ID", "Message", "Metadata"],
+      logs.map((log) => [
+        log.createdAt.toISOString(),
+        log.type,
+        log.action,
+        log.actorName,
+        log.actorId,
+        log.targetType,
+        log.targetId,
+        log.message,
+        log.metadata && Object.keys(log.metadata).length ? JSON.stringify(log.metadata) : "",
+      ])
+    );
+
+    sendCsv(res, `activity-${new Date().toISOString().slice(0, 10)}.csv`, csv);
+  } catch (err) {
+    console.error("LOGS EXPORT ERROR:", err);
+    res.status(500).json({ message: "Failed to export logs" });
+  }
+});
+
+/* ----------------------------------------
+   🔵 REQUIRED BY YOUR FRONTEND
+   GET ALL SOPs (RecentSOPs.jsx)
+/* ----------------------------------------
+   GET ALL SOPs
+---------------------------------------- */
+app.get("/api/sops", authenticate, authorize("content:view"), async (req, res) => {
+  try {
+    const sops = await SOP.find({ orgId: req.user.orgId })
+      .populate(assigneePopulate(req, "name email dept role"))  // ✅ populate employees
+      .sort({ updated: -1 });
+
+    res.json(sops);
+  } catch (err) {
+    console.error("SOP load error:", err);
+    res.status(500).json({ message: "Failed to load SOPs" });
+  }
+});
+
+/* =====================================================
+   CREATE SOP
+   POST /api/sops
+===================================================== */
+app.post("/api/sops", authenticate, authorize("content:edit"), async (req, res) => {
+  const orgId = req.user.orgId;
+  const { title, dept, content, assignedTo, dueDays, steps } = req.body;
+
+  if (!title || !dept || !content) {
+    return res.status(400).json({ message: "All fields are required" });
+  }
+
+  const checkedSteps = validateSopSteps(steps ?? []);
+  if (checkedSteps.error) return res.status(400).json({ message: checkedSteps.error });
+
+  if (!validDueDays(dueDays)) return res.status(400).json({ message: "dueDays must be a non-negative number" });
+
+  try {
+    const sop = await SOP.create({
+      orgId,
+      title,
+      dept,
+      content,
+      assignedTo: assignedTo || [], // ✅ FIX
+      steps: checkedSteps.steps,
+      dueDays: dueDays ?? null,
+      createdAt: new Date(),
+      updated: new Date(),
+    });
+
+    await recordSopRevision(sop, req.user, { changeNote: req.body.changeNote || "Created" });
+    await syncAssignmentDues("sop", sop);
+    await announceAssigneeChanges("sop", sop);
+
+    await autoAssignContent("sop", sop);
+
+    return res.json({ message: "SOP created successfully", sop });
+  } catch (err) {
+    console.error("CREATE SOP ERROR:", err);
+    if (err.status === 409) return res.status(409).json({ message: err.message });
+    return res.status(500).json({ message: "Server error creating SOP" });
+  }
+});
+
+
+/* =====================================================
+   UPDATE / EDIT SOP
+   PUT /api/sops/:id
+===================================================== */
+app.put("/api/sops/:id", authenticate, authorize("content:edit"), async (req, res) => {
+  const { id } = req.params;
+  const { title, dept, content, assignedTo, changeNote, requiresReack, dueDays } = req.body;
+
+  if (!validDueDays(dueDays)) return res.status(400).json({ message: "dueDays must be a non-negative number" });
+
+  try {
+    const sop = await SOP.findOne({ _id: id, orgId: req.user.orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    await ensureSopBaseline(sop);
+
+    const before = { title: sop.title, dept: sop.dept, content: sop.content };
+    const assigneesBefore = [...sop.assignedTo];
+
+    // Update fields
+    if (title) sop.title = title;
+    if (dept) sop.dept = dept;
+    if (content) sop.content = content;
+    if (assignedTo) sop.assignedTo = assignedTo; // ✅ FIX
+    if (dueDays !== undefined) sop.dueDays = dueDays;
+
+    sop.updated = new Date();
+
+    const changed =
+      before.title !== sop.title ||
+      before.dept !== sop.dept ||
+      before.content !== sop.content;
+
+    const reack = changed && !!requiresReack;
+
+    if (changed) {
+      // an edit counts as a review
+      sop.review.status = "current";
+      sop.review.dueSince = null;
+    }
+
+    await sop.save();
+    if (changed) await recordSopRevision(sop, req.user, { changeNote: changeNote || "", requiresReack: reack });
+    await syncAssignmentDues("sop", sop);
+    await announceAssigneeChanges("sop", sop, assigneesBefore);
+
+    if (reack) await requireSopReack(sop);
+
+    return res.json({ message: "SOP updated successfully", sop });
+  } catch (err) {
+    console.error("UPDATE SOP ERROR:", err);
+    if (err.status === 409) return res.status(409).json({ message: err.message });
+    return res.status(500).json({ message: "Server error updating SOP" });
+  }
+});
+
+
+/* =====================================================
+   GET A SINGLE SOP (View Page)
+   /api/sops/:id
+===================================================== */
+app.get("/api/sops/:id", authenticate, authorize("content:view"), async (req, res) => {
+  const orgId = req.user.orgId;
+  const { id } = req.params;
+
+  try {
+    const sop = await SOP.findOne({ _id: id, orgId })
+      .populate(assigneePopulate(req, "name email"));
+
+    if (!sop) {
+      return res.status(404).json({ message: "SOP not found" });
+    }
+
+    res.json(sop);
+  } catch (err) {
+    console.error("GET SOP ERROR:", err);
+    res.status(500).json({ message: "Server error loading SOP" });
+  }
+});
+
+/* =====================================================
+   SOP ATTACHMENTS
+   GET    /api/sops/:id/attachments
+   POST   /api/sops/:id/attachments              multipart "file"
+   PUT    /api/sops/:id/attachments/order        { order: [attachmentId, ...] }
+   DELETE /api/sops/:id/attachments/:attachmentId
+   Uploads are refused while employees.allowDocumentUpload is off.
+===================================================== */
+const SOP_ATTACHMENT_MAX_MB = Number(process.env.SOP_ATTACHMENT_MAX_MB) || 25;
+const SOP_ATTACHMENT_MAX_COUNT = 20;
+
+// mime type → attachment kind
+const SOP_ATTACHMENT_TYPES = {
+  "image/png": "image",
+  "image/jpeg": "image",
+  "image/gif": "image",
+  "image/webp": "image",
+  "application/pdf": "pdf",
+  "text/plain": "document",
+  "application/msword": "document",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "document",
+  "application/vnd.ms-excel": "document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "document",
+  "video/mp4": "video",
+};
+
+const attachmentUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: SOP_ATTACHMENT_MAX_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) =>
+    SOP_ATTACHMENT_TYPES[file.mimetype]
+      ? cb(null, true)
+      : cb(new Error(`File type ${file.mimetype} is not allowed`)),
+});
+
+// Settings are checked before multer reads the body
+async function requireDocumentUploads(req, res, next) {
+  try {
+    const settings = await getSettingsOrDefaults(req.user.orgId);
+    if (settings.employees?.allowDocumentUpload === false)
+      return res.status(403).json({ message: "Document uploads are disabled", code: "UPLOADS_DISABLED" });
+    next();
+  } catch (err) {
+    console.error("UPLOAD SETTINGS ERROR:", err);
+    res.status(500).json({ message: "Failed to check upload settings" });
+  }
+}
+
+async function removeStoredFile(attachment) {
+  try {
+    const backend = storageBackends[attachment.driver];
+    if (backend && attachment.key) await backend.remove(attachment.key);
+  } catch (err) {
+    console.warn("Stored file not removed:", attachment.key, err.message);
+  }
+}
+
+app.get("/api/sops/:id/attachments", authenticate, authorize("content:view"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId }).select("attachments");
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    res.json(sop.attachments);
+  } catch (err) {
+    console.error("LIST ATTACHMENTS ERROR:", err);
+    res.status(500).json({ message: "Failed to load attachments" });
+  }
+});
+
+app.post(
+  "/api/sops/:id/attachments",
+  authenticate,
+  authorize("content:edit"),
+  requireDocumentUploads,
+  acceptUpload("file", attachmentUpload),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+
+      const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId });
+      if (!sop) {
+        await fs.promises.rm(req.file.path, { force: true });
+        return res.status(404).json({ message: "SOP not found" });
+      }
+
+      if (sop.attachments.length >= SOP_ATTACHMENT_MAX_COUNT) {
+        await fs.promises.rm(req.file.path, { force: true });
+        return res.status(400).json({ message: `An SOP can have at most ${SOP_ATTACHMENT_MAX_COUNT} attachments` });
+      }
+
+      const stored = await storeFile(req.file.path, {
+        folder: `${req.user.orgId}/sop-attachments/${sop._id}`,
+        filename: req.file.originalname,
+        contentType: req.file.mimetype,
+      });
+
+      sop.attachments.push({
+        name: req.file.originalname,
+        kind: SOP_ATTACHMENT_TYPES[req.file.mimetype],
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        key: stored.key,
+        url: stored.url,
+        driver: storageDriverName(),
+        uploadedBy: req.user.firebaseUid,
+      });
+      await sop.save();
+
+      const attachment = sop.attachments[sop.attachments.length - 1];
+
+      await addLog(req.user.orgId, `Attached "${attachment.name}" to SOP "${sop.title}"`, "sop", {
+        actor: req.user,
+        action: "sop.attachment-added",
+        targetType: "sop",
+        targetId: sop._id,
+        metadata: { attachmentId: attachment._id },
+      });
+      emitToOrg(req.user.orgId, "sop:attachment-added", { sopId: sop._id, attachment });
+
+      res.json(attachment);
+    } catch (err) {
+      console.error("UPLOAD ATTACHMENT ERROR:", err);
+      if (req.file) fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+      res.status(500).json({ message: "Failed to upload attachment" });
+    }
+  }
+);
+
+app.put("/api/sops/:id/attachments/order", authenticate, authorize("content:edit"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    const order = (req.body?.order || []).map(String);
+    const current = sop.attachments.map((a) => a._id.toString());
+
+    if (order.length !== current.length || new Set(order).size !== order.length || !order.every((id) => current.includes(id)))
+      return res.status(400).json({ message: "order must list every attachment id exactly once" });
+
+    sop.attachments = order.map((id) => sop.attachments.id(id));
+    await sop.save();
+
+    emitToOrg(req.user.orgId, "sop:attachments-reordered", { sopId: sop._id, order });
+
+    res.json(sop.attachments);
+  } catch (err) {
+    console.error("REORDER ATTACHMENTS ERROR:", err);
+    res.status(500).json({ message: "Failed to reorder attachments" });
+  }
+});
+
+app.delete("/api/sops/:id/attachments/:attachmentId", authenticate, authorize("content:edit"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    const attachment = sop.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+    const removed = attachment.toObject();
+    attachment.deleteOne();
+    await sop.save();
+
+    await removeStoredFile(removed);
+
+    await addLog(req.user.orgId, `Removed "${removed.name}" from SOP "${sop.title}"`, "sop", {
+      actor: req.user,
+      action: "sop.attachment-removed",
+      targetType: "sop",
+      targetId: sop._id,
+      metadata: { attachmentId: removed._id },
+    });
+    emitToOrg(req.user.orgId, "sop:attachment-removed", { sopId: sop._id, attachmentId: removed._id });
+
+    res.json({ message: "Attachment removed" });
+  } catch (err) {
+    console.error("DELETE ATTACHMENT ERROR:", err);
+    res.status(500).json({ message: "Failed to remove attachment" });
+  }
+});
+
+
+
+/* =====================================================
+   SOP STEPS & CHECKLISTS
+   PUT  /api/sops/:id/steps                        { steps, changeNote, requiresReack }
+   POST /api/employee/sops/:id/steps/:stepId/photo multipart "photo" (evidence)
+   GET  /api/sops/:id/checklists?employeeId=
+   GET  /api/sops/:id/checklists/:submissionId
+   Completion sends { responses: [{ stepId, checked?, text? }] }.
+===================================================== */
+const SOP_STEP_TYPES = ["text", "image", "checkbox", "input", "photo"];
+const SOP_RESPONSE_STEP_TYPES = ["checkbox", "input", "photo"];
+const SOP_MAX_STEPS = 100;
+
+function validateSopSteps(steps) {
+  if (!Array.isArray(steps)) return { error: "steps must be an array" };
+  if (steps.length > SOP_MAX_STEPS) return { error: `At most ${SOP_MAX_STEPS} steps` };
+
+  const normalized = [];
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i] || {};
+
+    if (!SOP_STEP_TYPES.includes(step.type))
+      return { error: `Step ${i + 1}: type must be one of ${SOP_STEP_TYPES.join(", ")}` };
+    if (!step.title && !step.body) return { error: `Step ${i + 1}: title or body is required` };
+    if (step.type === "image" && !step.imageUrl) return { error: `Step ${i + 1}: imageUrl is required` };
+
+    normalized.push({
+      // keeping ids lets drafts survive edits that don't touch a step
+      ...(mongoose.isValidObjectId(step._id) ? { _id: step._id } : {}),
+      type: step.type,
+      title: String(step.title || "").slice(0, 300),
+      body: String(step.body || "").slice(0, 5000),
+      imageUrl: step.type === "image" ? String(step.imageUrl) : null,
+      required: SOP_RESPONSE_STEP_TYPES.includes(step.type) && !!step.required,
+    });
+  }
+
+  return { steps: normalized };
+}
+
+function isStepSatisfied(step, response) {
+  if (!response) return false;
+  if (step.type === "checkbox") return response.checked === true;
+  if (step.type === "input") return !!response.text?.trim();
+  if (step.type === "photo") return !!response.photoUrl;
+  return true;
+}
+
+function loadChecklistDraft(emp, sop) {
+  return SOPChecklistSubmission.findOne({ sopId: sop._id, employeeUid: emp.firebaseUid, status: "draft" });
+}
+
+/*
+  Merges the completion responses into the employee's draft and saves it.
+  Returns {} for SOPs without steps, { submission } (still a draft) when
+  every required step is answered, or { error } (400 body) listing required
+  steps that are still open. The caller submits it with submitSopChecklist
+  once the completion itself is saved.
+*/
+async function prepareSopChecklist(emp, sop, responses = []) {
+  if (!sop.steps?.length) return {};
+
+  if (!Array.isArray(responses))
+    return { error: { message: "responses must be an array", code: "INVALID_RESPONSES" } };
+
+  const draft =
+    (await loadChecklistDraft(emp, sop)) ||
+    new SOPChecklistSubmission({
+      orgId: sop.orgId,
+      sopId: sop._id,
+      employeeId: emp._id,
+      employeeUid: emp.firebaseUid,
+    });
+
+  const existing = new Map(draft.responses.map((r) => [r.stepId.toString(), r.toObject()]));
+  const incoming = new Map(responses.filter((r) => r?.stepId).map((r) => [String(r.stepId), r]));
+
+  draft.responses = sop.steps
+    .filter((step) => SOP_RESPONSE_STEP_TYPES.includes(step.type))
+    .map((step) => {
+      const id = step._id.toString();
+      const answer = { ...(existing.get(id) || {}), stepId: step._id, type: step.type, title: step.title };
+      const given = incoming.get(id);
+
+      if (given && step.type === "checkbox") answer.checked = given.checked === true;
+      if (given && step.type === "input") answer.text = String(given.text ?? "").slice(0, 5000);
+      if (given) answer.answeredAt = new Date();
+
+      return answer;
+    })
+    .filter((answer) => answer.checked !== undefined || answer.text !== undefined || answer.photoUrl);
+
+  const answers = new Map(draft.responses.map((r) => [r.stepId.toString(), r]));
+  const missing = sop.steps.filter((step) => step.required && !isStepSatisfied(step, answers.get(step._id.toString())));
+
+  if (missing.length) {
+    await draft.save(); // keep what was answered so far
+    return {
+      error: {
+        message: "Complete all required steps first",
+        code: "CHECKLIST_INCOMPLETE",
+        missingSteps: missing.map((step) => ({ stepId: step._id, title: step.title, type: step.type })),
+      },
+    };
+  }
+
+  await draft.save();
+
+  return { submission: draft };
+}
+
+async function submitSopChecklist(submission, sop) {
+  if (!submission) return;
+
+  submission.status = "submitted";
+  submission.submittedAt = new Date();
+  submission.revision = sop.currentRevision;
+  await submission.save();
+}
+
+app.put("/api/sops/:id/steps", authenticate, authorize("content:edit"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    const checked = validateSopSteps(req.body?.steps);
+    if (checked.error) return res.status(400).json({ message: checked.error });
+
+    await ensureSopBaseline(sop);
+
+    const reack = !!req.body?.requiresReack;
+
+    sop.steps = checked.steps;
+    sop.updated = new Date();
+    sop.review.status = "current";
+    sop.review.dueSince = null;
+
+    await sop.save();
+    await recordSopRevision(sop, req.user, { changeNote: req.body?.changeNote || "Updated steps", requiresReack: reack });
+
+    if (reack) await requireSopReack(sop);
+
+    await addLog(req.user.orgId, `Updated steps of SOP "${sop.title}" (${sop.steps.length} steps)`, "sop", {
+      actor: req.user,
+      action: "sop.steps-updated",
+      targetType: "sop",
+      targetId: sop._id,
+      metadata: { revision: sop.currentRevision },
+    });
+    emitToOrg(req.user.orgId, "sop:updated", { sopId: sop._id });
+
+    res.json({ message: "Steps updated", steps: sop.steps, revision: sop.currentRevision });
+  } catch (err) {
+    console.error("UPDATE SOP STEPS ERROR:", err);
+    if (err.status === 409) return res.status(409).json({ message: err.message });
+    res.status(500).json({ message: "Failed to update steps" });
+  }
+});
+
+const evidenceUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) =>
+    ["image/png", "image/jpeg", "image/webp"].includes(file.mimetype)
+      ? cb(null, true)
+      : cb(new Error("Photo must be PNG, JPEG or WebP")),
+});
+
+app.post(
+  "/api/employee/sops/:id/steps/:stepId/photo",
+  authenticate,
+  authorize("self:learn"),
+  acceptUpload("photo", evidenceUpload),
+  async (req, res) => {
+    const discard = () => req.file && fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+
+    try {
+      if (!req.file) return res.status(400).json({ message: "No photo uploaded" });
+
+      const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
+      const sop = emp && (await SOP.findOne({ _id: req.params.id, orgId: emp.orgId, assignedTo: emp._id }));
+      if (!sop) {
+        discard();
+        return res.status(404).json({ message: "SOP not found" });
+      }
+
+      const step = sop.steps.id(req.params.stepId);
+      if (!step || step.type !== "photo") {
+        discard();
+        return res.status(400).json({ message: "Step does not take a photo" });
+      }
+
+      const stored = await storeFile(req.file.path, {
+        folder: `${sop.orgId}/sop-evidence/${sop._id}`,
+        filename: req.file.originalname,
+        contentType: req.file.mimetype,
+      });
+
+      const draft =
+        (await loadChecklistDraft(emp, sop)) ||
+        new SOPChecklistSubmission({
+          orgId: sop.orgId,
+          sopId: sop._id,
+          employeeId: emp._id,
+          employeeUid: emp.firebaseUid,
+        });
+
+      const previous = draft.responses.find((r) => r.stepId.toString() === step._id.toString());
+      if (previous?.photoKey)
+        await removeStoredFile({ key: previous.photoKey, driver: previous.photoDriver });
+
+      draft.responses = draft.responses.filter((r) => r.stepId.toString() !== step._id.toString());
+      draft.responses.push({
+        stepId: step._id,
+        type: "photo",
+        title: step.title,
+        photoUrl: stored.url,
+        photoKey: stored.key,
+        photoDriver: storageDriverName(),
+      });
+      await draft.save();
+
+      res.json({ stepId: step._id, photoUrl: stored.url });
+    } catch (err) {
+      console.error("STEP PHOTO ERROR:", err);
+      discard();
+      res.status(500).json({ message: "Failed to upload photo" });
+    }
+  }
+);
+
+app.get("/api/sops/:id/checklists", authenticate, authorize("progress:view"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId }).select("title");
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    const employees = await Employee.find(employeeScope(req)).select("name email dept");
+    const filter = { sopId: sop._id, status: "submitted", employeeId: { $in: employees.map((e) => e._id) } };
+
+    if (req.query.employeeId) {
+      if (!employees.some((e) => e._id.toString() === req.query.employeeId))
+        return res.status(404).json({ message: "Employee not found" });
+      filter.employeeId = req.query.employeeId;
+    }
+
+    const submissions = await SOPChecklistSubmission.find(filter).select("-responses").sort({ submittedAt: -1 });
+    const byId = new Map(employees.map((e) => [e._id.toString(), e]));
+
+    res.json(
+      submissions.map((sub) => ({
+        ...sub.toObject(),
+        employeeName: byId.get(sub.employeeId.toString())?.name,
+        employeeEmail: byId.get(sub.employeeId.toString())?.email,
+      }))
+    );
+  } catch (err) {
+    console.error("LIST CHECKLISTS ERROR:", err);
+    res.status(500).json({ message: "Failed to load checklists" });
+  }
+});
+
+app.get("/api/sops/:id/checklists/:submissionId", authenticate, authorize("progress:view"), async (req, res) => {
+  try {
+    const submission = await SOPChecklistSubmission.findOne({
+      _id: req.params.submissionId,
+      sopId: req.params.id,
+      orgId: req.user.orgId,
+      status: "submitted",
+    });
+    if (!submission) return res.status(404).json({ message: "Checklist not found" });
+
+    const emp = await Employee.findById(submission.employeeId).select("name email dept orgId");
+    if (!inEmployeeScope(req, emp)) return res.status(404).json({ message: "Checklist not found" });
+
+    // steps as they were in the revision the employee completed
+    const revision = await SOPRevision.findOne({ sopId: submission.sopId, revision: submission.revision });
+
+    res.json({
+      ...submission.toObject(),
+      employee: { _id: emp._id, name: emp.name, email: emp.email, dept: emp.dept },
+      steps: revision?.steps || null,
+    });
+  } catch (err) {
+    console.error("GET CHECKLIST ERROR:", err);
+    res.status(500).json({ message: "Failed to load checklist" });
+  }
+});
+
+/* =====================================================
+   CLEAR SOP CONTENT
+   /api/sops/:id/clear
+===================================================== */
+app.put("/api/sops/:id/clear", authenticate, authorize("content:edit"), async (req, res) => {
+  const orgId = req.user.orgId;
+  const { id } = req.params;
+
+  try {
+    const sop = await SOP.findOne({ _id: id, orgId });
+
+    if (!sop) {
+      return res.status(404).json({ message: "SOP not found" });
+    }
+
+    await ensureSopBaseline(sop);
+
+    sop.content = "";
+    sop.updated = new Date();
+
+    await sop.save();
+    await recordSopRevision(sop, req.user, { changeNote: req.body?.changeNote || "Cleared content" });
+
+    res.json(sop);
+  } catch (err) {
+    console.error("CLEAR SOP ERROR:", err);
+    if (err.status === 409) return res.status(409).json({ message: err.message });
+    res.status(500).json({ message: "Failed to clear SOP" });
+  }
+});
+
+/* =====================================================
+   SOP REVISIONS
+   GET  /api/sops/:id/revisions
+   GET  /api/sops/:id/revisions/diff?from=1&to=3&mode=line|word
+   GET  /api/sops/:id/revisions/:revision
+   POST /api/sops/:id/revisions/:revision/restore
+   GET  /api/sops/:id/acknowledgements
+===================================================== */
+app.get("/api/sops/:id/revisions", authenticate, authorize("content:view"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    const revisions = await SOPRevision.find({ sopId: sop._id })
+      .select("-content")
+      .sort({ revision: -1 });
+
+    res.json({ currentRevision: sop.currentRevision, revisions });
+  } catch (err) {
+    console.error("SOP REVISIONS ERROR:", err);
+    res.status(500).json({ message: "Failed to load revisions" });
+  }
+});
+
+app.get("/api/sops/:id/revisions/diff", authenticate, authorize("content:view"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    const mode = req.query.mode === "word" ? "word" : "line";
+    const to = Number(req.query.to) || sop.currentRevision;
+    const from = Number(req.query.from) || to - 1;
+
+    const [fromRev, toRev] = await Promise.all([
+      SOPRevision.findOne({ sopId: sop._id, revision: from }),
+      SOPRevision.findOne({ sopId: sop._id, revision: to }),
+    ]);
+
+    if (!fromRev || !toRev)
+      return res.status(404).json({ message: "Revision not found" });
+
+    const diff = diffSopRevisions(fromRev, toRev, mode);
+    if (!diff)
+      return res.status(413).json({ message: "Revisions too large to diff in this mode" });
+
+    res.json(diff);
+  } catch (err) {
+    console.error("SOP DIFF ERROR:", err);
+    res.status(500).json({ message: "Failed to diff revisions" });
+  }
+});
+
+app.get("/api/sops/:id/revisions/:revision", authenticate, authorize("content:view"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    const revision = await SOPRevision.findOne({
+      sopId: sop._id,
+      revision: Number(req.params.revision),
+    });
+    if (!revision) return res.status(404).json({ message: "Revision not found" });
+
+    res.json(revision);
+  } catch (err) {
+    console.error("SOP REVISION ERROR:", err);
+    res.status(500).json({ message: "Failed to load revision" });
+  }
+});
+
+app.post("/api/sops/:id/revisions/:revision/restore", authenticate, authorize("content:edit"), async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+
+    const sop = await SOP.findOne({ _id: req.params.id, orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    await ensureSopBaseline(sop);
+
+    const old = await SOPRevision.findOne({
+      sopId: sop._id,
+      revision: Number(req.params.revision),
+    });
+    if (!old) return res.status(404).json({ message: "Revision not found" });
+
+    sop.title = old.title;
+    sop.dept = old.dept;
+    sop.content = old.content;
+    if (old.steps) sop.steps = old.steps;
+    sop.updated = new Date();
+    sop.review.status = "current";
+    sop.review.dueSince = null;
+
+    const reack = !!req.body?.requiresReack;
+
+    await sop.save();
+    const revision = await recordSopRevision(sop, req.user, {
+      changeNote: req.body?.changeNote || `Restored revision ${old.revision}`,
+      restoredFrom: old.revision,
+      requiresReack: reack,
+    });
+
+    if (reack) await requireSopReack(sop);
+
+    await addLog(orgId, `Restored SOP "${sop.title}" to revision ${old.revision}`, "sop", {
+      actor: req.user,
+      action: "sop.restored",
+      targetType: "sop",
+      targetId: sop._id,
+      metadata: { revision: revision.revision, restoredFrom: old.revision },
+    });
+    emitToOrg(orgId, "sop:restored", { sopId: sop._id, revision: revision.revision, restoredFrom: old.revision });
+
+    res.json({ message: "Revision restored", sop, revision });
+  } catch (err) {
+    console.error("SOP RESTORE ERROR:", err);
+    if (err.status === 409) return res.status(409).json({ message: err.message });
+    res.status(500).json({ message: "Failed to restore revision" });
+  }
+});
+
+// Who acknowledged which revision - anyone not on the current one must re-read
+app.get("/api/sops/:id/acknowledgements", authenticate, authorize("progress:view"), async (req, res) => {
+  try {
+    const sop = await SOP.findOne({ _id: req.params.id, orgId: req.user.orgId })
+      .populate(assigneePopulate(req, "name email dept firebaseUid"));
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    const progress = await EmployeeSOPProgress.find({ sopId: sop._id });
+    const dues = await resolveDueStates(await AssignmentDue.find({ contentType: "sop", contentId: sop._id }).lean());
+
+    const result = sop.assignedTo.map((emp) => {
+      const p = progress.find((x) => x.employeeId === emp.firebaseUid);
+      const due = dues.find((d) => d.employeeId.toString() === emp._id.toString());
+      return {
+        employeeId: emp._id,
+        name: emp.name,
+        email: emp.email,
+        dept: emp.dept,
+        completed: !!p?.completed,
+        completedAt: p?.completedAt || null,
+        revision: p?.revision ?? null,
+        upToDate: !!p?.completed && p.revision === sop.currentRevision,
+        dueAt: due?.dueAt || null,
+        overdue: !!due?.overdue,
+      };
+    });
+
+    res.json({ currentRevision: sop.currentRevision, employees: result });
+  } catch (err) {
+    console.error("SOP ACK LIST ERROR:", err);
+    res.status(500).json({ message: "Failed to load acknowledgements" });
+  }
+});
+
+/* ----------------------------------------
+   TRAINING ROUTES
+---------------------------------------- */
+app.post("/api/training", authenticate, authorize("content:edit"), async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      videoUrl,
+      thumbnailUrl,
+      dept,
+      assignedEmployees,
+      quiz,
+      passMark,
+      maxAttempts,
+      dueDays,
+      durationSec,
+      minWatchRatio,
+    } = req.body;
+
+    if (!title || !videoUrl)
+      return res.status(400).json({ message: "Missing required fields" });
+
+    if (!validDueDays(dueDays)) return res.status(400).json({ message: "dueDays must be a non-negative number" });
+
+    const watchError = validateWatchRequirement({ durationSec, minWatchRatio });
+    if (watchError) return res.status(400).json({ message: watchError });
+
+    if (quiz) {
+      const quizError = validateQuiz(quiz);
+      if (quizError) return res.status(400).json({ message: quizError });
+    }
+
+    const settingsError = validateQuizSettings({ passMark, maxAttempts });
+    if (settingsError) return res.status(400).json({ message: settingsError });
+
+    // Cloudinary can derive a poster frame; other storage needs an explicit thumbnail
+    let finalThumbnail = thumbnailUrl;
+    if (!finalThumbnail && videoUrl.includes("res.cloudinary.com"))
+      finalThumbnail = videoUrl.replace("/upload/", "/upload/so_1/");
+
+    const training = await new TrainingVideo({
+      orgId: req.user.orgId,
+      title,
+      description,
+      videoUrl,
+      thumbnailUrl: finalThumbnail,
+      dept: dept || null,
+      assignedEmployees: assignedEmployees || [],
+      quiz: quiz || [],
+      passMark,
+      maxAttempts,
+      dueDays: dueDays ?? null,
+      durationSec: durationSec ?? null,
+      minWatchRatio,
+    }).save();
+
+    await syncAssignmentDues("training", training);
+    await announceAssigneeChanges("training", training);
+
+    await addLog(req.user.orgId, `Created training "${title}"`, "training", {
+      actor: req.user,
+      action: "training.created",
+      targetType: "training",
+      targetId: training._id,
+    });
+
+    emitToOrg(req.user.orgId, "training:created", training);
+
+    await autoAssignContent("training", training);
+
+    res.json(training);
+  } catch (err) {
+    console.log("Training create error:", err);
+    res.status(500).json({ message: "Failed to create training" });
+  }
+});
+
+app.delete("/api/training/:id", authenticate, authorize("content:delete"), async (req, res) => {
+  const deleted = await TrainingVideo.findOneAndDelete({
+    _id: req.params.id,
+    orgId: req.user.orgId,
+  });
+
+  if (!deleted)
+    return res.status(404).json({ message: "Training video not found" });
+
+  await AssignmentDue.deleteMany({ contentType: "training", contentId: deleted._id });
+  await removeContentFromPaths("training", deleted._id);
+
+  await addLog(
+    req.user.orgId,
+    `Deleted training "${deleted.title}"`,
+    "training",
+    { actor: req.user, action: "training.deleted", targetType: "training", targetId: deleted._id }
+  );
+
+  emitToOrg(req.user.orgId, "training:deleted", deleted);
+
+  res.json({ message: "Deleted" });
+});
+
+/* ----------------------------------------
+   UPDATE TRAINING QUIZ (admin)
+   PUT /api/training/:id/quiz
+---------------------------------------- */
+app.put("/api/training/:id/quiz", authenticate, authorize("content:edit"), async (req, res) => {
+  try {
+    const { quiz, passMark, maxAttempts } = req.body;
+
+    const training = await TrainingVideo.findOne({
+      _id: req.params.id,
+      orgId: req.user.orgId,
+    });
+    if (!training) return res.status(404).json({ message: "Training not found" });
+
+    if (quiz !== undefined) {
+      const quizError = validateQuiz(quiz);
+      if (quizError) return res.status(400).json({ message: quizError });
+      training.quiz = quiz;
+    }
+
+    const settingsError = validateQuizSettings({ passMark, maxAttempts });
+    if (settingsError) return res.status(400).json({ message: settingsError });
+
+    if (passMark !== undefined) training.passMark = passMark;
+    if (maxAttempts !== undefined) training.maxAttempts = maxAttempts;
+
+    await training.save();
+
+    await addLog(req.user.orgId, `Updated quiz for "${training.title}"`, "training", {
+      actor: req.user,
+      action: "training.quiz-updated",
+      targetType: "training",
+      targetId: training._id,
+    });
+    emitToOrg(req.user.orgId, "training:quiz-updated", { trainingId: training._id });
+
+    res.json({ message: "Quiz updated", training });
+  } catch (err) {
+    console.error("Quiz update error:", err);
+    res.status(500).json({ message: "Failed to update quiz" });
+  }
+});
+
+/* ----------------------------------------
+   QUIZ ATTEMPTS FOR A TRAINING (admin)
+   GET /api/training/:id/quiz/attempts
+---------------------------------------- */
+app.get("/api/training/:id/quiz/attempts", authenticate, authorize("progress:view"), async (req, res) => {
+  try {
+    const training = await TrainingVideo.findOne({
+      _id: req.params.id,
+      orgId: req.user.orgId,
+    });
+    if (!training) return res.status(404).json({ message: "Training not found" });
+
+    const attempts = await QuizAttempt.find({ videoId: training._id.toString() })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const employees = await Employee.find({
+      ...employeeScope(req),
+      firebaseUid: { $in: [...new Set(attempts.map((a) => a.employeeId))] },
+    });
+
+    // managers only see attempts of employees in their departments
+    const result = attempts
+      .map((a) => ({ attempt: a, emp: employees.find((e) => e.firebaseUid === a.employeeId) }))
+      .filter(({ emp }) => emp || !req.scope.depts)
+      .map(({ attempt, emp }) => ({
+        ...attempt,
+        employeeName: emp?.name || "Unknown",
+        employeeEmail: emp?.email || "",
+      }));
+
+    res.json(result);
+  } catch (err) {
+    console.error("Quiz attempts list error:", err);
+    res.status(500).json({ message: "Failed to load quiz attempts" });
+  }
+});
+
+/* ----------------------------------------
+   EMPLOYEE TRAINING COMPLETE
+---------------------------------------- */
+app.post("/api/training/:id/complete", authenticate, async (req, res) => {
+  try {
+    const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
+    if (!emp) return res.status(404).json({ message: "Employee not found" });
+
+    const training = await TrainingVideo.findById(req.params.id);
+    if (!training) return res.status(404).json({ message: "Training not found" });
+
+    if (training.orgId !== emp.orgId)
+      return res.status(403).json({ message: "Not allowed" });
+
+    if (
+      training.assignedEmployees.length > 0 &&
+      !training.assignedEmployees.includes(emp.firebaseUid)
+    ) {
+      return res.status(403).json({ message: "Not assigned to you" });
+    }
+
+    if (await rejectIfPathLocked(res, emp, "training", training._id)) return;
+
+    if (await rejectIfNotWatched(res, emp, training)) return;
+
+    if (!(await hasPassedQuiz(emp.firebaseUid, training)))
+      return res.status(403).json({ message: "Pass the quiz before completing this training" });
+
+    if (!training.completedBy.includes(emp.firebaseUid)) {
+      training.completedBy.push(emp.firebaseUid);
+    }
+
+    if (training.assignedEmployees.length === 0) {
+      training.status = "completed";
+    } else {
+      const allCompleted = training.assignedEmployees.every((uid) =>
+        training.completedBy.includes(uid)
+      );
+      if (allCompleted) training.status = "completed";
+    }
+
+    await training.save();
+
+    const progress = await markProgressCompleted(emp, training);
+
+
+    if (!emp.completedTrainings.includes(training._id)) {
+      emp.completedTrainings.push(training._id);
+      await emp.save();
+    }
+
+    await addLog(
+      emp.orgId,
+      `${emp.name} completed training "${training.title}"`,
+      "training",
+      {
+        actor: emp,
+        action: "training.completed",
+        targetType: "training",
+        targetId: training._id,
+        metadata: { employeeId: emp._id },
+      }
+    );
+
+    emitToOrg(emp.orgId, "training:completed", { training, employee: emp });
+    notifyAdmins(emp.orgId, "trainingUpdates", {
+      event: "training:completed",
+      title: `${emp.name} completed "${training.title}"`,
+      data: { trainingId: training._id, employeeId: emp._id },
+    });
+
+    res.json({ message: "Marked complete", training, certificateUrl: progress.certificateUrl });
+  } catch (err) {
+    console.error("Mark complete error:", err);
+    res.status(500).json({ message: "Failed to mark complete" });
+  }
+});
+
+app.get("/api/training", authenticate, authorize("content:view"), async (req, res) => {
+  try {
+    const videos = await TrainingVideo.find({ orgId: req.user.orgId })
+      .sort({ createdAt: -1 });
+
+    res.json(videos);
+  } catch (err) {
+    res.status(500).json({ message: "Failed to fetch training videos" });
+  }
+});
+
+/* ----------------------------------------
+   EMPLOYEE: GET TRAINING LIST
+   GET /api/employee/training
+---------------------------------------- */
+app.get("/api/employee/training", authenticate, async (req, res) => {
+  try {
+    const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
+    if (!emp) return res.status(404).json({ message: "Employee not found" });
+
+    // Get all training created by the same owner/company
+    const allTraining = await TrainingVideo.find({ orgId: emp.orgId })
+      .sort({ createdAt: -1 });
+
+    // Visible rules:
+    // 1. Global training (assignedEmployees = empty)
+    // 2. Assigned directly to this employee
+    const visibleTraining = allTraining.filter((t) => {
+      const assigned = t.assignedEmployees || [];
+      return assigned.length === 0 || assigned.includes(emp.firebaseUid);
+    });
+
+    const dues = await loadEmployeeDueMap(emp, "training");
+
+    // Build final response object
+    const response = visibleTraining.map((t) => ({
+      _id: t._id,
+      title: t.title,
+      description: t.description,
+      videoUrl: t.videoUrl,
+      thumbnailUrl: t.thumbnailUrl,
+      assignedEmployees: t.assignedEmployees || [],
+      completed: (t.completedBy || []).includes(emp.firebaseUid),
+      status: t.status || "active",
+      dueAt: dues.get(t._id.toString())?.dueAt || null,
+      overdue: !!dues.get(t._id.toString())?.overdue,
+      createdAt: t.createdAt,
+    }));
+
+    res.json(response);
+  } catch (err) {
+    console.log("Employee training list error:", err);
+    res.status(500).json({ message: "Failed to load employee training" });
+  }
+});
+
+app.post("/api/users/register-admin", authenticate, async (req, res) => {
+  try {
+    const { firebaseUid, email } = req.user;
+
+    let user = await User.findOne({ firebaseUid });
+
+    // If user already exists but no role, make him admin
+    if (user) {
+      user.role = "admin";
+      await user.save();
+      return res.json({ ok: true, message: "Admin role updated" });
+    }
+
+    // Create new admin
+    user = await User.create({
+      firebaseUid,
+      email,
+      role: "admin",
+    });
+
+    res.json({ ok: true, message: "Admin registered", user });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to register admin" });
+  }
+});
+
+
+// app.post("/api/training", authenticate, requireAdmin, async (req, res) => {
+//   try {
+//     const {
+//       title,
+//       description,
+//       videoUrl,
+//       thumbnailUrl,
+//       assignedEmployees = []
+//     } = req.body;
+
+//     const newVideo = await TrainingVideo.create({
+//       ownerId: req.user.firebaseUid,
+//       title,
+//       description,
+//       videoUrl,
+//       thumbnailUrl,
+//       assignedEmployees,
+//       status: "active",
+//       completedBy: []
+//     });
+
+//     res.json(newVideo);
+//   } catch (err) {
+//     res.status(500).json({ message: "Failed to create training video" });
+//   }
+// });
+app.get("/api/training/:id", authenticate, async (req, res) => {
+  try {
+    if (!req.user.orgId) return noOrganization(res);
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Video not found" });
+
+    const video = await TrainingVideo.findOne({ _id: req.params.id, orgId: req.user.orgId });
+
+    // employees only see trainings assigned to them, and never the quiz answers
+    if (!video || (req.user.isEmployee && !isContentAssigned("training", video, req.user)))
+      return res.status(404).json({ message: "Video not found" });
+
+    if (req.user.isEmployee)
+      return res.json({ ...video.toObject(), quiz: publicQuiz(video) });
+
+    res.json(video);
+
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to load video" });
+  }
+});
+
+/* =====================================================
+   TRAINING PLAYBACK PROGRESS
+   GET  /api/employee/training/:id/progress     resume position + watch stats
+   POST /api/employee/training/:id/progress     heartbeat { position, segment: { start, end } }
+   GET  /api/employee/progress                  all of the employee's progress rows
+   PUT  /api/training/:id/watch-requirement     { minWatchRatio, durationSec } (admin)
+   Legacy POST /api/employee/progress, POST /api/employee/training/progress
+   and GET /api/employee/progress/:id are served by the same handlers.
+
+   A heartbeat segment may not be longer than the wall-clock time since the
+   previous heartbeat (at up to MAX_PLAYBACK_RATE), so seeking or inflated
+   reports do not count as watched time. The video length comes from the
+   admin (or upload metadata), never from the player; until it is known the
+   watch ratio is not enforced, so trainings without a length (including all
+   created before watch tracking) can still be completed.
+===================================================== */
+const MAX_PLAYBACK_RATE = 2;
+const HEARTBEAT_MAX_GAP_SEC = 60; // pauses longer than this earn nothing extra
+const HEARTBEAT_TOLERANCE_SEC = 5;
+
+function findProgressFor(emp, videoId) {
+  return EmployeeProgress.findOne({
+    employeeId: { $in: [emp.firebaseUid, emp._id.toString()] },
+    videoId: String(videoId),
+  }).sort({ updatedAt: -1 });
+}
+
+function watchSummary(progress, video) {
+  const duration = video.durationSec || 0;
+  const watchedSeconds = progress?.watchedSeconds || 0;
+  const ratio = duration ? watchedSeconds / duration : 0;
+  const required = video.minWatchRatio ?? 0.9;
+
+  return {
+    videoId: video._id.toString(),
+    positionSec: progress?.positionSec || 0,
+    durationSec: video.durationSec || null,
+    watchedSeconds: Math.round(watchedSeconds),
+    percent: progress?.progressPercent || 0,
+    minWatchRatio: required,
+    durationKnown: duration > 0,
+    watchRequirementMet: required === 0 || !duration || ratio >= required,
+    completed: !!progress?.completed,
+    completedAt: progress?.completedAt || null,
+  };
+}
+
+async function rejectIfNotWatched(res, emp, video) {
+  const summary = watchSummary(await findProgressFor(emp, video._id), video);
+  if (summary.watchRequirementMet) return false;
+
+  res.status(403).json({
+    message: `Watch at least ${Math.round(summary.minWatchRatio * 100)}% of the video before completing it`,
+    code: "WATCH_REQUIREMENT_NOT_MET",
+    watched: summary,
+  });
+  return true;
+}
+
+// Marks the video complete, then issues its certificate once: the
+// certificate id is claimed on the saved row, so parallel completions
+// cannot both issue one. A failed issue is logged, not thrown, so callers
+// finish recording the completion; the next completion retries it.
+async function markProgressCompleted(emp, video) {
+  const progress =
+    (await findProgressFor(emp, video._id)) ||
+    (await EmployeeProgress.findOneAndUpdate(
+      { employeeId: emp.firebaseUid, videoId: video._id.toString() },
+      { $setOnInsert: { orgId: emp.orgId } },
+      { upsert: true, new: true }
+    ));
+
+  progress.orgId = emp.orgId;
+  progress.completed = true;
+  progress.completedAt = progress.completedAt || new Date();
+  progress.updatedAt = new Date();
+  await progress.save();
+
+  if (progress.certificateId) return progress;
+
+  const certificateId = newCertificateId();
+  const claimed = await EmployeeProgress.findOneAndUpdate(
+    { _id: progress._id, certificateId: null },
+    { certificateId },
+    { new: true }
+  );
+  if (!claimed) return EmployeeProgress.findById(progress._id); // issued by a parallel request
+
+  try {
+    const best = await EmployeeScore.findOne({ employeeId: emp.firebaseUid, videoId: video._id.toString() });
+    const certificate = await issueCertificate({
+      emp,
+      contentType: "training",
+      item: video,
+      certificateId,
+      completedAt: progress.completedAt,
+      score: video.quiz?.length ? best?.score ?? null : null,
+    });
+
+    await EmployeeProgress.updateOne({ _id: progress._id }, { certificateUrl: certificate.url });
+    claimed.certificateUrl = certificate.url;
+    return claimed;
+  } catch (err) {
+    console.error("Certificate issue error:", err);
+    await EmployeeProgress.updateOne({ _id: progress._id, certificateId }, { certificateId: null });
+    return EmployeeProgress.findById(progress._id);
+  }
+}
+
+// resolves the employee + video a progress request is about
+async function loadPlaybackContext(req, res) {
+  const videoId = req.params.id || req.body?.videoId;
+  if (!mongoose.isValidObjectId(videoId)) {
+    res.status(400).json({ message: "Missing or invalid videoId" });
+    return null;
+  }
+
+  const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
+  if (!emp) {
+    res.status(404).json({ message: "Employee not found" });
+    return null;
+  }
+
+  const video = await TrainingVideo.findOne({ _id: videoId, orgId: emp.orgId });
+  if (!video || !isContentAssigned("training", video, emp)) {
+    res.status(404).json({ message: "Training not found" });
+    return null;
+  }
+
+  return { emp, video };
+}
+
+async function getPlaybackProgress(req, res) {
+  try {
+    const ctx = await loadPlaybackContext(req, res);
+    if (!ctx) return;
+
+    res.json(watchSummary(await findProgressFor(ctx.emp, ctx.video._id), ctx.video));
+  } catch (err) {
+    console.error("Progress fetch error:", err);
+    res.status(500).json({ message: "Failed to load progress" });
+  }
+}
+
+async function recordPlaybackHeartbeat(req, res) {
+  try {
+    const ctx = await loadPlaybackContext(req, res);
+    if (!ctx) return;
+    const { emp, video } = ctx;
+
+    // the player's `duration` is ignored: only admins set video.durationSec
+    const { position, segment } = req.body || {};
+    const num = (v) => (typeof v === "number" && isFinite(v) && v >= 0 ? v : null);
+
+    const now = new Date();
+    const current =
+      (await findProgressFor(emp, video._id)) ||
+      (await EmployeeProgress.findOneAndUpdate(
+        { employeeId: emp.firebaseUid, videoId: video._id.toString() },
+        { $setOnInsert: { orgId: emp.orgId, lastHeartbeatAt: null } },
+        { upsert: true, new: true }
+      ));
+
+    // Claim the time since the previous heartbeat atomically, so parallel
+    // heartbeats cannot each earn the full allowance
+    const previousBeat = current.lastHeartbeatAt;
+    const claimed = await EmployeeProgress.findOneAndUpdate(
+      { _id: current._id, lastHeartbeatAt: previousBeat },
+      { lastHeartbeatAt: now },
+      { new: true }
+    );
+    const progress = claimed || (await EmployeeProgress.findById(current._id));
+
+    if (num(position) !== null) progress.positionSec = video.durationSec ? Math.min(position, video.durationSec) : position;
+
+    if (claimed && segment && num(segment.start) !== null && num(segment.end) !== null && segment.end > segment.start) {
+      const elapsed = previousBeat ? Math.min((now - previousBeat) / 1000, HEARTBEAT_MAX_GAP_SEC) : 0;
+      const allowed = elapsed * MAX_PLAYBACK_RATE + HEARTBEAT_TOLERANCE_SEC;
+      const end = Math.min(segment.end, segment.start + allowed);
+
+      progress.watchedSegments = mergeSegments(
+        [...progress.watchedSegments.map((s) => ({ start: s.start, end: s.end })), { start: segment.start, end }],
+        video.durationSec
+      );
+    }
+
+    const before = progress.progressPercent || 0;
+
+    progress.watchedSeconds = watchedSecondsOf(progress.watchedSegments);
+    progress.progressPercent = video.durationSec
+      ? Math.min(100, Math.round((progress.watchedSeconds / video.durationSec) * 100))
+      : 0;
+    progress.orgId = emp.orgId;
+    progress.updatedAt = now;
+    await progress.save();
+
+    emp.lastActivityAt = now;
+    await emp.save();
+
+    // only milestones are logged; heartbeats arrive every few seconds
+    const milestone = [25, 50, 75, 100].find((m) => before < m && progress.progressPercent >= m);
+    if (milestone) {
+      await addLog(emp.orgId, `${emp.name} watched ${milestone}% of "${video.title}"`, "training-progress", {
+        actor: emp,
+        action: "training.progress",
+        targetType: "training",
+        targetId: video._id,
+        metadata: { employeeId: emp._id, milestone },
+      });
+      emitToOrg(emp.orgId, "training:progress", {
+        employee: emp.name,
+        video: video.title,
+        percent: progress.progressPercent,
+      });
+    }
+
+    res.json(watchSummary(progress, video));
+  } catch (err) {
+    console.error("Progress update error:", err);
+    res.status(500).json({ message: "Failed to update progress" });
+  }
+}
+
+app.get("/api/employee/training/:id/progress", authenticate, getPlaybackProgress);
+app.post("/api/employee/training/:id/progress", authenticate, recordPlaybackHeartbeat);
+app.post("/api/employee/progress", authenticate, recordPlaybackHeartbeat);
+
+app.get("/api/employee/progress", authenticate, async (req, res) => {
+  try {
+    const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
+    if (!emp) return res.status(404).json({ message: "Employee not found" });
+
+    const progress = await EmployeeProgress.find({
+      employeeId: { $in: [emp.firebaseUid, emp._id.toString()] },
+    }).lean();
+
+    const videos = await TrainingVideo.find({ _id: { $in: progress.map((p) => p.videoId) } });
+
+    res.json(
+      videos.map((video) => watchSummary(progress.find((p) => p.videoId === video._id.toString()), video))
+    );
+  } catch (err) {
+    console.error("Progress fetch error:", err);
+    res.status(500).json({ message: "Failed to load progress" });
+  }
+});
+
+app.put("/api/training/:id/watch-requirement", authenticate, authorize("content:edit"), async (req, res) => {
+  try {
+    const { minWatchRatio, durationSec } = req.body || {};
+
+    const error = validateWatchRequirement({ minWatchRatio, durationSec });
+    if (error) return res.status(400).json({ message: error });
+
+    const training = await TrainingVideo.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!training) return res.status(404).json({ message: "Training not found" });
+
+    if (minWatchRatio !== undefined) training.minWatchRatio = minWatchRatio;
+    if (durationSec !== undefined) training.durationSec = durationSec;
+    await training.save();
+
+    await addLog(
+      req.user.orgId,
+      `Set watch requirement of "${training.title}" to ${Math.round(training.minWatchRatio * 100)}%`,
+      "training",
+      {
+        actor: req.user,
+        action: "training.watch-requirement",
+        targetType: "training",
+        targetId: training._id,
+        metadata: { minWatchRatio: training.minWatchRatio },
+      }
+    );
+
+    res.json({ minWatchRatio: training.minWatchRatio, durationSec: training.durationSec });
+  } catch (err) {
+    console.error("WATCH REQUIREMENT ERROR:", err);
+    res.status(500).json({ message: "Failed to update watch requirement" });
+  }
+});
+
+/* =====================================================
+   SUBMIT QUIZ ATTEMPT (graded on the server)
+   POST /api/employee/training/:id/quiz   { answers }
+   POST /api/employee/score               { videoId, answers }  (legacy)
+===================================================== */
+async function submitQuizAttempt(req, res) {
+  try {
+    const employeeUid = req.user.firebaseUid;
+    const videoId = req.params.id || req.body.videoId;
+    const { answers } = req.body;
+
+    if (!videoId) return res.status(400).json({ message: "Missing videoId" });
+    if (!Array.isArray(answers))
+      return res.status(400).json({ message: "answers must be an array" });
+
+    const employee = await Employee.findOne({ firebaseUid: employeeUid });
+    if (!employee) return res.status(404).json({ message: "Employee not found" });
+
+    const video = await TrainingVideo.findOne({ _id: videoId, orgId: employee.orgId });
+    if (!video) return res.status(404).json({ message: "Training not found" });
+
+    const assigned = video.assignedEmployees || [];
+    if (assigned.length > 0 && !assigned.includes(employeeUid))
+      return res.status(403).json({ message: "Not assigned to you" });
+
+    if (!video.quiz || video.quiz.length === 0)
+      return res.status(400).json({ message: "This training has no quiz" });
+
+    const status = await getQuizStatus(employeeUid, video);
+
+    if (status.passed)
+      return res.status(409).json({ message: "Quiz already passed", quizStatus: status });
+
+    if (status.maxAttempts && status.attemptsUsed >= status.maxAttempts)
+      return res.status(403).json({ message: "No attempts remaining", quizStatus: status });
+
+    const graded = gradeQuiz(video, answers);
+
+    // the unique attempt number is the claim: a parallel submission that read
+    // the same count fails here instead of going past maxAttempts
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        orgId: employee.orgId,
+        employeeId: employeeUid,
+        videoId: video._id.toString(),
+        attempt: status.attemptsUsed + 1,
+        passMark: video.passMark ?? 70,
+        ...graded,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return res.status(409).json({
+        message: "Another attempt was submitted at the same time",
+        quizStatus: await getQuizStatus(employeeUid, video),
+      });
+    }
+
+    // Keep the best score on EmployeeScore for existing dashboards
+    const best = Math.max(graded.score, status.bestScore ?? 0);
+    await EmployeeScore.findOneAndUpdate(
+      { employeeId: employeeUid, videoId: video._id.toString() },
+      { score: best, updatedAt: new Date() },
+      { upsert: true, new: true }
+    );
+
+    await addLog(
+      employee.orgId,
+      `${employee.name} ${graded.passed ? "passed" : "failed"} the quiz for "${video.title}" (${graded.score}%)`,
+      "quiz",
+      {
+        actor: employee,
+        action: graded.passed ? "quiz.passed" : "quiz.failed",
+        targetType: "training",
+        targetId: video._id,
+        metadata: { employeeId: employee._id, score: graded.score },
+      }
+    );
+
+    emitToOrg(employee.orgId, "quiz:attempted", {
+      employee: employee.name,
+      video: video.title,
+      score: graded.score,
+      passed: graded.passed,
+    });
+
+    res.json({
+      message: graded.passed ? "Quiz passed" : "Quiz failed",
+      attempt: {
+        _id: attempt._id,
+        attempt: attempt.attempt,
+        score: attempt.score,
+        passed: attempt.passed,
+        correctCount: attempt.correctCount,
+        totalQuestions: attempt.totalQuestions,
+        // per-question right/wrong only, the correct option is not revealed
+        answers: attempt.answers,
+      },
+      quizStatus: await getQuizStatus(employeeUid, video),
+    });
+  } catch (err) {
+    console.error("Quiz submit error:", err);
+    res.status(500).json({ message: "Failed to submit quiz" });
+  }
+}
+
+app.post("/api/employee/training/:id/quiz", authenticate, submitQuizAttempt);
+app.post("/api/employee/score", authenticate, submitQuizAttempt);
+
+// GET own quiz attempts for a training
+app.get("/api/employee/training/:id/quiz/attempts", authenticate, async (req, res) => {
+  try {
+    const attempts = await QuizAttempt.find({
+      employeeId: req.user.firebaseUid,
+      videoId: req.params.id,
+    }).sort({ createdAt: -1 });
+
+    res.json(attempts);
+  } catch (err) {
+    console.error("Quiz attempts fetch error:", err);
+    res.status(500).json({ message: "Failed to load quiz attempts" });
+  }
+});
+
+// backend: GET /api/training/:id
+// app.get("/api/training/:id", authenticate, async (req, res) => {
+//   try {
+//     const video = await TrainingVideo.findOne({
+//       _id: req.params.id,
+//       ownerId: req.user.firebaseUid
+//     });
+
+//     if (!video) {
+//       return res.status(404).json({ message: "Video not found" });
+//     }
+
+//     res.json({
+//       id: video._id,
+//       title: video.title,
+//       description: video.description,
+//       videoUrl: video.videoUrl,
+//       quiz: video.quiz || []
+//     });
+//   } catch (err) {
+//     res.status(500).json({ message: "Failed to load video" });
+//   }
+// });
+
+
+// app.delete("/api/training/:id", authenticate, requireAdmin, async (req, res) => {
+//   try {
+//     const deleted = await TrainingVideo.findOneAndDelete({
+//       _id: req.params.id,
+//       ownerId: req.user.firebaseUid,
+//     });
+
+//     if (!deleted)
+//       return res.status(404).json({ message: "Video not found" });
+
+//     res.json({ message: "Training video deleted" });
+//   } catch (err) {
+//     res.status(500).json({ message: "Failed to delete video" });
+//   }
+// });
+
+/* =====================================================
+   GET ALL EMPLOYEES
+   GET /api/employees
+===================================================== */
+app.get("/api/employees", authenticate, authorize("employees:view"), async (req, res) => {
+  try {
+    // employees of this tenant (managers: their departments only)
+    const employees = await Employee.find(employeeScope(req));
+
+    res.json({ employees });
+  } catch (err) {
+    console.error("GET EMPLOYEES ERROR:", err);
+    res.status(500).json({ message: "Failed to load employees" });
+  }
+});
+
+// UNIVERSAL SEARCH
+app.get("/api/search", authenticate, async (req, res) => {
+  const q = (req.query.q || "").toLowerCase();
+  const orgId = req.user.orgId;
+
+  if (!orgId) return noOrganization(res);
+
+  if (!q) return res.json({ sop: [], training: [] });
+
+  try {
+    const sops = await SOP.find({
+      orgId,
+      title: { $regex: q, $options: "i" }
+    }).select("title _id");
+
+    const trainings = await TrainingVideo.find({
+      orgId,
+      title: { $regex: q, $options: "i" }
+    }).select("title _id thumbnailUrl");
+
+    res.json({
+      sop: sops,
+      training: trainings
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Search failed" });
+  }
+});
+
+/* ----------------------------------------
+   EMPLOYEE CREATION
+---------------------------------------- */
+// Case-insensitive exact match on a stored email
+function emailMatcher(email) {
+  return new RegExp(`^${String(email).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+}
+
+// Why an account cannot become an employee of orgId, or null; shared by the
+// single create and the CSV import
+function employeeAccountConflict(orgId, { employee, isAdmin }) {
+  if (employee && employee.orgId !== orgId) return "email belongs to another organization";
+  if (isAdmin) return "email belongs to an admin account";
+  return null;
+}
+
+// Looks the account up by email (and Firebase uid, once known)
+async function findEmployeeAccountConflict(orgId, { email, uid }) {
+  const match = [{ email: emailMatcher(email) }, ...(uid ? [{ firebaseUid: uid }] : [])];
+  const [employees, adminUser] = await Promise.all([
+    Employee.find({ $or: match }).select("orgId"),
+    User.exists({ $or: match, role: "admin" }),
+  ]);
+
+  return employeeAccountConflict(orgId, {
+    employee: employees.find((e) => e.orgId !== orgId),
+    isAdmin: !!adminUser,
+  });
+}
+
+app.post("/api/employees", authenticate, authorize("employees:manage"), async (req, res) => {
+  try {
+    const { name, email, dept, role } = req.body;
+
+    if (!name || !email || !dept)
+      return res.status(400).json({ message: "Missing fields" });
+
+    if (role && !Employee.schema.path("role").enumValues.includes(role))
+      return res.status(400).json({ message: "Invalid role" });
+
+    if (!firebaseAdminInitialized) {
+      return res.status(500).json({ message: "Firebase Admin not initialized" });
+    }
+
+    const conflict = await findEmployeeAccountConflict(req.user.orgId, { email });
+    if (conflict) return res.status(409).json({ message: conflict });
+
+    let fbUser;
+
+    // No password here: the employee sets one through their invite link
+    try {
+      fbUser = await admin.auth().getUserByEmail(email);
+    } catch (err) {
+      if (err.code !== "auth/user-not-found") throw err;
+      fbUser = await admin.auth().createUser({ email, displayName: name });
+    }
+
+    // the Firebase account may be known under another email casing or a changed address
+    const accountConflict = await findEmployeeAccountConflict(req.user.orgId, { email, uid: fbUser.uid });
+    if (accountConflict) return res.status(409).json({ message: accountConflict });
+
+    if (await Employee.exists({ orgId: req.user.orgId, $or: [{ firebaseUid: fbUser.uid }, { email: emailMatcher(email) }] }))
+      return res.status(409).json({ message: "An employee with this email already exists" });
+
+    const emp = await new Employee({
+      orgId: req.user.orgId,
+      firebaseUid: fbUser.uid,
+      name,
+      email,
+      dept,
+      role: role || undefined,
+    }).save();
+
+    const invite = await createEmployeeInvite(emp, req.user);
+    const assignments = await autoAssignEmployee(emp, "join");
+
+    res.json({
+      message: "Employee created and invited",
+      emp,
+      invite: { status: emp.inviteStatus, expiresAt: invite.expiresAt },
+      assignments,
+    });
+  } catch (error) {
+    console.error("CREATE EMPLOYEE ERROR:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+/* ----------------------------------------
+   CSV HELPERS
+---------------------------------------- */
+function sendCsv(res, filename, csv) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(csv);
+}
+
+/* =====================================================
+   EMPLOYEE IMPORT / EXPORT
+   POST /api/employees/import   CSV: name,email,dept[,role]
+        ?commit=true (or { csv, commit: true }) creates the rows,
+        otherwise returns a validation preview
+   GET  /api/employees/export
+===================================================== */
+const IMPORT_MAX_ROWS = 1000;
+const IMPORT_BATCH_SIZE = 10; // Firebase users created in parallel per batch
+
+// Validates every row; status is "create", "exists" (already in this org) or "error"
+async function validateEmployeeImport(orgId, records) {
+  const roles = Employee.schema.path("role").enumValues;
+  const emails = records.map((r) => r.email.toLowerCase()).filter(Boolean);
+
+  const emailFilter = { email: { $in: emails.map(emailMatcher) } };
+  const existing = await Employee.find(emailFilter).select("email orgId");
+  const admins = await User.find({ ...emailFilter, role: "admin" }).select("email");
+
+  const existingByEmail = new Map(existing.map((e) => [e.email.toLowerCase(), e]));
+  const adminEmails = new Set(admins.map((u) => u.email.toLowerCase()));
+  const seen = new Map();
+
+  return records.map((r) => {
+    const errors = [];
+    const email = r.email.toLowerCase();
+
+    if (!r.name) errors.push("name is required");
+    if (!r.email) errors.push("email is required");
+    else if (!EMAIL_RE.test(r.email)) errors.push("invalid email");
+    if (!r.dept) errors.push("dept is required");
+    if (r.role && !roles.includes(r.role)) errors.push(`role must be one of ${roles.join(", ")}`);
+
+    if (email && seen.has(email)) errors.push(`duplicate of line ${seen.get(email)}`);
+    else if (email) seen.set(email, r.line);
+
+    const match = existingByEmail.get(email);
+    const conflict = employeeAccountConflict(orgId, { employee: match, isAdmin: adminEmails.has(email) });
+    if (conflict) errors.push(conflict);
+
+    let status = "create";
+    if (errors.length) status = "error";
+    else if (match) status = "exists";
+
+    return { ...r, status, errors };
+  });
+}
+
+app.post(
+  "/api/employees/import",
+  authenticate,
+  authorize("employees:manage"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  async (req, res) => {
+    try {
+      const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+      const commit = req.query.commit === "true" || req.body?.commit === true;
+
+      if (!csv) return res.status(400).json({ message: "CSV content required" });
+
+      const [header, ...lines] = parseCsv(csv);
+      const columns = (header || []).map((h) => h.trim().toLowerCase());
+
+      const missing = ["name", "email", "dept"].filter((c) => !columns.includes(c));
+      if (missing.length)
+        return res.status(400).json({ message: `Missing columns: ${missing.join(", ")}` });
+
+      if (lines.length > IMPORT_MAX_ROWS)
+        return res.status(400).json({ message: `At most ${IMPORT_MAX_ROWS} rows per import` });
+
+      const col = (cells, name) => (cells[columns.indexOf(name)] || "").trim();
+
+      const records = lines.map((cells, i) => ({
+        line: i + 2, // 1-based, after the header
+        name: col(cells, "name"),
+        email: col(cells, "email"),
+        dept: col(cells, "dept"),
+        role: col(cells, "role").toLowerCase(),
+      }));
+
+      const rows = await validateEmployeeImport(req.user.orgId, records);
+
+      const summary = {
+        total: rows.length,
+        create: rows.filter((r) => r.status === "create").length,
+        exists: rows.filter((r) => r.status === "exists").length,
+        errors: rows.filter((r) => r.status === "error").length,
+      };
+
+      if (!commit) return res.json({ preview: true, summary, rows });
+
+      if (!firebaseAdminInitialized)
+        return res.status(500).json({ message: "Firebase Admin not initialized" });
+
+      // Only "create" rows are written; re-running the same file skips what already exists
+      const toCreate = rows.filter((r) => r.status === "create");
+
+      for (let i = 0; i < toCreate.length; i += IMPORT_BATCH_SIZE) {
+        const batch = toCreate.slice(i, i + IMPORT_BATCH_SIZE);
+
+        const results = await Promise.allSettled(
+          batch.map(async (r) => {
+            let fbUser;
+            try {
+              fbUser = await admin.auth().getUserByEmail(r.email);
+            } catch (err) {
+              if (err.code !== "auth/user-not-found") throw err;
+              fbUser = await admin.auth().createUser({ email: r.email, displayName: r.name });
+            }
+
+            // the account may have changed since validation
+            const conflict = await findEmployeeAccountConflict(req.user.orgId, { email: r.email, uid: fbUser.uid });
+            if (conflict) throw new Error(conflict);
+
+            // upsert so an employee created since validation is not duplicated
+            const emp = await Employee.findOneAndUpdate(
+              { orgId: req.user.orgId, firebaseUid: fbUser.uid },
+              {
+                $setOnInsert: {
+                  orgId: req.user.orgId,
+                  firebaseUid: fbUser.uid,
+                  name: r.name,
+                  email: r.email,
+                  dept: r.dept,
+                  role: r.role || "staff",
+                },
+              },
+              { upsert: true, new: true, includeResultMetadata: true }
+            );
+
+            if (emp.lastErrorObject?.updatedExisting) return "exists";
+
+            await createEmployeeInvite(emp.value, req.user);
+            await autoAssignEmployee(emp.value, "join");
+            return "created";
+          })
+        );
+
+        results.forEach((result, j) => {
+          const row = batch[j];
+          if (result.status === "fulfilled") {
+            row.status = result.value;
+          } else {
+            row.status = "error";
+            row.errors.push(result.reason?.message || "Failed to create employee");
+          }
+        });
+      }
+
+      summary.created = rows.filter((r) => r.status === "created").length;
+      summary.exists = rows.filter((r) => r.status === "exists").length;
+      summary.errors = rows.filter((r) => r.status === "error").length;
+      delete summary.create;
+
+      if (summary.created) {
+        await addLog(req.user.orgId, `Imported ${summary.created} employee(s) from CSV`, "employee", {
+          actor: req.user,
+          action: "employee.imported",
+          metadata: { created: summary.created },
+        });
+        emitToOrg(req.user.orgId, "employees:imported", { created: summary.created });
+      }
+
+      res.json({ preview: false, summary, rows });
+    } catch (err) {
+      console.error("IMPORT EMPLOYEES ERROR:", err);
+      res.status(500).json({ message: "Failed to import employees" });
+    }
+  }
+);
+
+app.get("/api/employees/export", authenticate, authorize("employees:view"), async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+
+    const employees = await Employee.find(employeeScope(req)).sort({ name: 1 }).lean();
+    const sops = await SOP.find({ orgId }).select("assignedTo").lean();
+    const videos = await TrainingVideo.find({ orgId }).select("assignedEmployees").lean();
+
+    const uids = employees.map((e) => e.firebaseUid);
+    const empIds = employees.map((e) => e._id.toString());
+
+    const sopDone = await EmployeeSOPProgress.find({
+      employeeId: { $in: uids },
+      completed: true,
+      reackRequired: { $ne: true },
+    })
+      .select("employeeId sopId")
+      .lean();
+
+    // training progress is keyed by firebaseUid or, on older rows, Employee _id
+    const videoDone = await EmployeeProgress.find({
+      employeeId: { $in: [...uids, ...empIds] },
+      videoId: { $in: videos.map((v) => v._id.toString()) },
+      completed: true,
+    })
+      .select("employeeId videoId")
+      .lean();
+
+    const rows = employees.map((emp) => {
+      const id = emp._id.toString();
+
+      const sopIds = new Set(
+        sops
+          .filter((s) => (s.assignedTo || []).some((a) => a.toString() === id))
+          .map((s) => s._id.toString())
+      );
+      const videoIds = new Set(
+        videos.filter((v) => isContentAssigned("training", v, emp)).map((v) => v._id.toString())
+      );
+
+      const sopsCompleted = new Set(
+        sopDone
+          .filter((p) => p.employeeId === emp.firebaseUid && sopIds.has(p.sopId.toString()))
+          .map((p) => p.sopId.toString())
+      ).size;
+      const trainingsCompleted = new Set(
+        videoDone
+          .filter((p) => (p.employeeId === emp.firebaseUid || p.employeeId === id) && videoIds.has(p.videoId))
+          .map((p) => p.videoId)
+      ).size;
+
+      const assigned = sopIds.size + videoIds.size;
+      const completed = sopsCompleted + trainingsCompleted;
+
+      return [
+        emp.name,
+        emp.email,
+        emp.dept,
+        emp.role,
+        emp.status,
+        emp.inviteStatus,
+        sopIds.size,
+        sopsCompleted,
+        videoIds.size,
+        trainingsCompleted,
+        assigned ? Math.round((completed / assigned) * 100) : 100,
+        emp.lastActivityAt || emp.lastLoginAt,
+      ];
+    });
+
+    const csv = toCsv(
+      [
+        "name",
+        "email",
+        "dept",
+        "role",
+        "status",
+        "inviteStatus",
+        "sopsAssigned",
+        "sopsCompleted",
+        "trainingsAssigned",
+        "trainingsCompleted",
+        "completionPercent",
+        "lastActive",
+      ],
+      rows
+    );
+
+    sendCsv(res, `employees-${new Date().toISOString().slice(0, 10)}.csv`, csv);
+  } catch (err) {
+    console.error("EXPORT EMPLOYEES ERROR:", err);
+    res.status(500).json({ message: "Failed to export employees" });
+  }
+});
+
+/* =====================================================
+   EMPLOYEE INVITES
+   POST /api/invites/verify                 { token }            (public)
+   POST /api/invites/accept                 { token, password }  (public)
+   POST /api/employees/:id/invite/resend
+   POST /api/employees/:id/invite/revoke
+===================================================== */
+if (process.env.NODE_ENV === "production" && !process.env.INVITE_TOKEN_SECRET) {
+  console.error("Missing INVITE_TOKEN_SECRET (required in production so invite links survive restarts)");
+  process.exit(1);
+}
+const INVITE_TOKEN_SECRET = process.env.INVITE_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.INVITE_TOKEN_SECRET)
+  console.warn("⚠️ INVITE_TOKEN_SECRET not set - invite links stop working after a restart");
+
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+// Revokes any open invite, issues a new one and emails the activation link
+async function createEmployeeInvite(emp, invitedBy) {
+  await EmployeeInvite.updateMany(
+    { employeeId: emp._id, usedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const invite = new EmployeeInvite({
+    orgId: emp.orgId,
+    employeeId: emp._id,
+    email: emp.email,
+    invitedBy: invitedBy?.firebaseUid,
+    expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+    tokenHash: "pending",
+  });
+
+  const token = jwt.sign({ inv: invite._id.toString(), typ: "employee-invite" }, INVITE_TOKEN_SECRET, {
+    algorithm: "HS256",
+    expiresIn: INVITE_TTL_HOURS * 60 * 60,
+  });
+
+  invite.tokenHash = hashToken(token);
+  await invite.save();
+
+  emp.inviteStatus = "pending";
+  emp.invitedAt = new Date();
+  await emp.save();
+
+  const org = await Organization.findById(emp.orgId);
+
+  await sendMail({
+    to: emp.email,
+    subject: `You're invited to ${org?.name || "TrainDesk"}`,
+    text: [
+      `Hi ${emp.name},`,
+      "",
+      `You have been added to ${org?.name || "TrainDesk"}. Set your password to get started:`,
+      appUrl(`/activate?token=${encodeURIComponent(token)}`),
+      "",
+      `This link can be used once and expires in ${INVITE_TTL_HOURS} hours.`,
+    ].join("\n"),
+  });
+
+  return invite;
+}
+
+// Resolves a raw token to its open invite, or { error, status }
+async function loadInviteFromToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ""), INVITE_TOKEN_SECRET, { algorithms: ["HS256"] });
+  } catch (err) {
+    if (err.name === "TokenExpiredError") return { error: "Invite link expired", status: 410 };
+    return { error: "Invalid invite link", status: 400 };
+  }
+
+  if (payload.typ !== "employee-invite") return { error: "Invalid invite link", status: 400 };
+
+  const invite = await EmployeeInvite.findById(payload.inv);
+  if (!invite || invite.tokenHash !== hashToken(token))
+    return { error: "Invalid invite link", status: 400 };
+  if (invite.revokedAt) return { error: "This invite was revoked", status: 410 };
+  if (invite.usedAt) return { error: "This invite was already used", status: 410 };
+
+  if (invite.expiresAt < new Date()) {
+    await Employee.updateOne({ _id: invite.employeeId, inviteStatus: "pending" }, { inviteStatus: "expired" });
+    return { error: "Invite link expired", status: 410 };
+  }
+
+  const emp = await Employee.findById(invite.employeeId);
+  if (!emp) return { error: "Employee no longer exists", status: 404 };
+
+  return { invite, emp };
+}
+
+app.post("/api/invites/verify", async (req, res) => {
+  try {
+    const { invite, emp, error, status } = await loadInviteFromToken(req.body?.token);
+    if (error) return res.status(status).json({ message: error });
+
+    const org = await Organization.findById(emp.orgId);
+
+    res.json({ name: emp.name, email: emp.email, organization: org?.name, expiresAt: invite.expiresAt });
+  } catch (err) {
+    console.error("VERIFY INVITE ERROR:", err);
+    res.status(500).json({ message: "Failed to verify invite" });
+  }
+});
+
+app.post("/api/invites/accept", async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!password || String(password).length < 8)
+      return res.status(400).json({ message: "Password must be at least 8 characters" });
+
+    if (!firebaseAdminInitialized)
+      return res.status(500).json({ message: "Firebase Admin not initialized" });
+
+    const { invite, emp, error, status } = await loadInviteFromToken(token);
+    if (error) return res.status(status).json({ message: error });
+
+    // claim the invite first so the link cannot be used twice
+    const usedAt = new Date();
+    const claimed = await EmployeeInvite.findOneAndUpdate(
+      { _id: invite._id, usedAt: null, revokedAt: null },
+      { usedAt }
+    );
+    if (!claimed) return res.status(410).json({ message: "This invite was already used" });
+
+    try {
+      await admin.auth().updateUser(emp.firebaseUid, {
+        password: String(password),
+        emailVerified: true,
+      });
+    } catch (err) {
+      // release the claim so the employee can retry with the same link
+      await EmployeeInvite.updateOne({ _id: invite._id, usedAt }, { usedAt: null });
+      throw err;
+    }
+
+    emp.inviteStatus = "accepted";
+    emp.inviteAcceptedAt = new Date();
+    await emp.save();
+
+    await addLog(emp.orgId, `${emp.name} accepted their invite`, "employee", {
+      actor: emp,
+      action: "employee.invite-accepted",
+      targetType: "employee",
+      targetId: emp._id,
+    });
+    emitToOrg(emp.orgId, "employee:invite-accepted", { employeeId: emp._id, name: emp.name });
+    notifyAdmins(emp.orgId, "employeeJoined", {
+      event: "employee:joined",
+      title: `${emp.name} joined`,
+      body: `${emp.name} (${emp.dept || "no department"}) accepted their invite and activated their account.`,
+      data: { employeeId: emp._id },
+    });
+
+    res.json({ message: "Account activated", email: emp.email });
+  } catch (err) {
+    console.error("ACCEPT INVITE ERROR:", err);
+    res.status(500).json({ message: "Failed to accept invite" });
+  }
+});
+
+app.post("/api/employees/:id/invite/resend", authenticate, authorize("employees:manage"), async (req, res) => {
+  try {
+    const emp = await Employee.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!emp) return res.status(404).json({ message: "Employee not found" });
+
+    if (emp.inviteStatus === "accepted")
+      return res.status(400).json({ message: "Employee has already accepted their invite" });
+
+    const invite = await createEmployeeInvite(emp, req.user);
+
+    await addLog(req.user.orgId, `Resent invite to ${emp.name}`, "employee", {
+      actor: req.user,
+      action: "employee.invited",
+      targetType: "employee",
+      targetId: emp._id,
+    });
+    emitToOrg(req.user.orgId, "employee:invited", { employeeId: emp._id });
+
+    res.json({ message: "Invite sent", invite: { status: emp.inviteStatus, expiresAt: invite.expiresAt } });
+  } catch (err) {
+    console.error("RESEND INVITE ERROR:", err);
+    res.status(500).json({ message: "Failed to resend invite" });
+  }
+});
+
+app.post("/api/employees/:id/invite/revoke", authenticate, authorize("employees:manage"), async (req, res) => {
+  try {
+    const emp = await Employee.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!emp) return res.status(404).json({ message: "Employee not found" });
+
+    const result = await EmployeeInvite.updateMany(
+      { employeeId: emp._id, usedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!result.modifiedCount) return res.status(404).json({ message: "No open invite" });
+
+    emp.inviteStatus = "revoked";
+    await emp.save();
+
+    await addLog(req.user.orgId, `Revoked invite for ${emp.name}`, "employee", {
+      actor: req.user,
+      action: "employee.invite-revoked",
+      targetType: "employee",
+      targetId: emp._id,
+    });
+    emitToOrg(req.user.orgId, "employee:invite-revoked", { employeeId: emp._id });
+
+    res.json({ message: "Invite revoked" });
+  } catch (err) {
+    console.error("REVOKE INVITE ERROR:", err);
+    res.status(500).json({ message: "Failed to revoke invite" });
+  }
+});
+
+/* =====================================================
+   ASSIGNMENT RULES (admin)
+   GET    /api/assignment-rules
+   POST   /api/assignment-rules
+   POST   /api/assignment-rules/preview   { ruleId } or a rule definition
+   PUT    /api/assignment-rules/:id
+   DELETE /api/assignment-rules/:id
+   POST   /api/assignment-rules/:id/apply  (retroactive, whole workforce)
+===================================================== */
+const RULE_FIELDS = [
+  "name",
+  "enabled",
+  "contentType",
+  "contentId",
+  "contentDept",
+  "audienceDept",
+  "audienceRole",
+];
+
+function pickRuleFields(body) {
+  const picked = {};
+  RULE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) picked[f] = body[f] === "" ? null : body[f];
+  });
+  return picked;
+}
+
+app.get("/api/assignment-rules", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const rules = await AssignmentRule.find({ orgId: req.user.orgId }).sort({ createdAt: -1 });
+    res.json(rules);
+  } catch (err) {
+    console.error("ASSIGNMENT RULES LOAD ERROR:", err);
+    res.status(500).json({ message: "Failed to load assignment rules" });
+  }
+});
+
+app.post("/api/assignment-rules", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+    const fields = pickRuleFields(req.body);
+
+    const error = validateAssignmentRule(fields);
+    if (error) return res.status(400).json({ message: error });
+
+    const rule = await AssignmentRule.create({ ...fields, orgId });
+
+    await addLog(orgId, `Created assignment rule "${rule.name || rule._id}"`, "assignment", {
+      actor: req.user,
+      action: "assignment-rule.created",
+      targetType: "assignment-rule",
+      targetId: rule._id,
+    });
+    emitToOrg(orgId, "assignment-rule:created", rule);
+
+    res.json(rule);
+  } catch (err) {
+    console.error("ASSIGNMENT RULE CREATE ERROR:", err);
+    res.status(500).json({ message: "Failed to create assignment rule" });
+  }
+});
+
+// Dry run: who would get what, nothing is saved
+app.post("/api/assignment-rules/preview", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+    let rule;
+
+    if (req.body.ruleId) {
+      if (!mongoose.isValidObjectId(req.body.ruleId)) return res.status(404).json({ message: "Rule not found" });
+      rule = await AssignmentRule.findOne({ _id: req.body.ruleId, orgId });
+      if (!rule) return res.status(404).json({ message: "Rule not found" });
+    } else {
+      const fields = pickRuleFields(req.body);
+      const error = validateAssignmentRule(fields);
+      if (error) return res.status(400).json({ message: error });
+      rule = new AssignmentRule({ ...fields, orgId });
+    }
+
+    const plan = await planAssignmentsForRule(rule);
+    res.json({ count: plan.length, assignments: describePlan(plan) });
+  } catch (err) {
+    console.error("ASSIGNMENT RULE PREVIEW ERROR:", err);
+    res.status(500).json({ message: "Failed to preview assignment rule" });
+  }
+});
 
-    // Check employee first
-    const emp = await Employee.findOne({ firebaseUid: decoded.user_id });
+app.put("/api/assignment-rules/:id", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
 
-    if (emp) {
-      req.user = { ...emp.toObject(), role: "employee", isEmployee: true };
-      return next();
-    }
+    const rule = await AssignmentRule.findOne({ _id: req.params.id, orgId });
+    if (!rule) return res.status(404).json({ message: "Rule not found" });
 
-    // Check admin user
-    let user = await User.findOne({ firebaseUid: decoded.user_id });
+    const fields = pickRuleFields(req.body);
 
-    // Create admin user if first time
-    if (!user) {
-      user = await new User({
-        firebaseUid: decoded.user_id,
-        email: decoded.email,
-        role: "admin", // <-- IMPORTANT
-      }).save();
-    }
+    // validated before assigning: mongoose would drop an uncastable contentId
+    const error = validateAssignmentRule({ ...rule.toObject(), ...fields });
+    if (error) return res.status(400).json({ message: error });
 
-    req.user = { ...user.toObject(), isEmployee: false };
-    next();
+    Object.assign(rule, fields);
+
+    rule.updatedAt = new Date();
+    await rule.save();
+
+    await addLog(orgId, `Updated assignment rule "${rule.name || rule._id}"`, "assignment", {
+      actor: req.user,
+      action: "assignment-rule.updated",
+      targetType: "assignment-rule",
+      targetId: rule._id,
+    });
+    emitToOrg(orgId, "assignment-rule:updated", rule);
+
+    res.json(rule);
   } catch (err) {
-    return res.status(401).json({ message: "Invalid token" });
+    console.error("ASSIGNMENT RULE UPDATE ERROR:", err);
+    res.status(500).json({ message: "Failed to update assignment rule" });
   }
-}
+});
 
-function requireAdmin(req, res, next) {
-  return req.user.role === "admin"
-    ? next()
-    : res.status(403).json({ message: "Admin only" });
-}
+app.delete("/api/assignment-rules/:id", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+
+    const deleted = await AssignmentRule.findOneAndDelete({ _id: req.params.id, orgId });
+    if (!deleted) return res.status(404).json({ message: "Rule not found" });
+
+    await addLog(orgId, `Deleted assignment rule "${deleted.name || deleted._id}"`, "assignment", {
+      actor: req.user,
+      action: "assignment-rule.deleted",
+      targetType: "assignment-rule",
+      targetId: deleted._id,
+    });
+    emitToOrg(orgId, "assignment-rule:deleted", deleted);
+
+    res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("ASSIGNMENT RULE DELETE ERROR:", err);
+    res.status(500).json({ message: "Failed to delete assignment rule" });
+  }
+});
+
+app.post("/api/assignment-rules/:id/apply", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+
+    const rule = await AssignmentRule.findOne({ _id: req.params.id, orgId });
+    if (!rule) return res.status(404).json({ message: "Rule not found" });
 
+    const plan = await planAssignmentsForRule(rule);
+    const applied = await applyPlanWithLog(orgId, plan, `by rule "${rule.name || rule._id}"`);
+
+    res.json({ message: `Assigned ${applied.length} item(s)`, assignments: applied });
+  } catch (err) {
+    console.error("ASSIGNMENT RULE APPLY ERROR:", err);
+    res.status(500).json({ message: "Failed to apply assignment rule" });
+  }
+});
 
 /* ----------------------------------------
-   LOG + WEBSOCKET BROADCAST
+   SOP CRUD
 ---------------------------------------- */
-async function addLog(ownerId, message, type = "system") {
-  const log = await SystemLog.create({ ownerId, message, type });
-  emitToOwner(ownerId, "log:new", log);
+app.post("/api/sops", authenticate, authorize("content:edit"), async (req, res) => {
+  const sop = await new SOP({ ...req.body, orgId: req.user.orgId }).save();
+
+  await addLog(req.user.orgId, `Created SOP: ${sop.title}`, "sop", {
+    actor: req.user,
+    action: "sop.created",
+    targetType: "sop",
+    targetId: sop._id,
+  });
+  emitToOrg(req.user.orgId, "sop:created", sop);
+
+  res.json(sop);
+});
+
+app.delete("/api/sops/:id", authenticate, authorize("content:delete"), async (req, res) => {
+  const deleted = await SOP.findOneAndDelete({
+    _id: req.params.id,
+    orgId: req.user.orgId,
+  });
+
+  if (!deleted) return res.status(404).json({ message: "SOP not found" });
+
+  await AssignmentDue.deleteMany({ contentType: "sop", contentId: deleted._id });
+  await removeContentFromPaths("sop", deleted._id);
+  for (const attachment of deleted.attachments || []) await removeStoredFile(attachment);
+
+  await addLog(req.user.orgId, `Deleted SOP: ${deleted.title}`, "sop", {
+    actor: req.user,
+    action: "sop.deleted",
+    targetType: "sop",
+    targetId: deleted._id,
+  });
+  emitToOrg(req.user.orgId, "sop:deleted", deleted);
+
+  res.json({ message: "Deleted" });
+});
+
+/* =====================================================
+   ASSIGN / UNASSIGN EMPLOYEES (admins + managers)
+   PUT /api/sops/:id/assignees      { add: [empId], remove: [empId] }
+   PUT /api/training/:id/assignees  { add: [empId], remove: [empId] }
+===================================================== */
+// Loads the requested employees, rejecting any outside the caller's scope
+async function loadAssignableEmployees(req, ids = []) {
+  if (!Array.isArray(ids) || !ids.length) return { employees: [] };
+
+  const employees = await Employee.find({ _id: { $in: ids }, orgId: req.scope.orgId });
+  const outside = employees.filter((e) => !inEmployeeScope(req, e));
+
+  if (employees.length !== ids.length || outside.length)
+    return { error: "Some employees are not in your department(s)" };
+
+  return { employees };
 }
 
-/* ----------------------------------------
-   CLOUDINARY SIGNATURE
----------------------------------------- */
-app.get("/api/cloudinary-signature", (req, res) => {
+app.put("/api/sops/:id/assignees", authenticate, authorize("assignments:manage"), async (req, res) => {
   try {
-    const timestamp = Math.round(Date.now() / 1000);
-    const folder = req.query.folder || "training_videos";
+    const orgId = req.scope.orgId;
 
-    const signature = cloudinary.utils.api_sign_request(
-      { timestamp, folder },
-      process.env.CLOUDINARY_API_SECRET
-    );
+    const sop = await SOP.findOne({ _id: req.params.id, orgId });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
 
-    res.json({
-      signature,
-      timestamp,
-      folder,
-      apiKey: process.env.CLOUDINARY_API_KEY,
-      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+    const toAdd = await loadAssignableEmployees(req, req.body.add);
+    const toRemove = await loadAssignableEmployees(req, req.body.remove);
+    if (toAdd.error || toRemove.error)
+      return res.status(403).json({ message: toAdd.error || toRemove.error });
+
+    const added = toAdd.employees.filter((e) => !sop.assignedTo.some((id) => id.toString() === e._id.toString()));
+    const removeIds = toRemove.employees.map((e) => e._id.toString());
+    sop.assignedTo = sop.assignedTo.filter((id) => !removeIds.includes(id.toString()));
+    toAdd.employees.forEach((e) => {
+      if (!sop.assignedTo.some((id) => id.toString() === e._id.toString())) sop.assignedTo.push(e._id);
     });
+
+    await sop.save();
+    await syncAssignmentDues("sop", sop);
+
+    for (const emp of [...toAdd.employees, ...toRemove.employees]) await refreshPendingSOPs(emp);
+
+    await addLog(
+      orgId,
+      `${req.user.name || req.user.email} updated assignees of SOP "${sop.title}" (+${toAdd.employees.length} / -${toRemove.employees.length})`,
+      "assignment",
+      {
+        actor: req.user,
+        action: "sop.assignees-updated",
+        targetType: "sop",
+        targetId: sop._id,
+        metadata: { added: toAdd.employees.length, removed: toRemove.employees.length },
+      }
+    );
+    emitToOrg(orgId, "sop:assigned", { sopId: sop._id, assignedTo: sop.assignedTo });
+    for (const emp of added) announceAssignment(emp, "sop", sop);
+
+    res.json({ message: "Assignees updated", assignedTo: sop.assignedTo });
   } catch (err) {
-    console.error("Cloudinary Signature Error", err);
-    res.status(500).json({ error: "Cannot generate signature" });
+    console.error("SOP ASSIGN ERROR:", err);
+    res.status(500).json({ message: "Failed to update assignees" });
   }
 });
 
-/* ----------------------------------------
-   🔵 REQUIRED BY YOUR FRONTEND
-   GET ALL LOGS  (ActivityFeed.jsx)
----------------------------------------- */
-app.get("/api/logs", authenticate, async (req, res) => {
+app.put("/api/training/:id/assignees", authenticate, authorize("assignments:manage"), async (req, res) => {
   try {
-    const logs = await SystemLog.find({ ownerId: req.user.firebaseUid })
-      .sort({ createdAt: -1 })
-      .limit(20);
+    const orgId = req.scope.orgId;
+
+    const training = await TrainingVideo.findOne({ _id: req.params.id, orgId });
+    if (!training) return res.status(404).json({ message: "Training not found" });
+
+    const toAdd = await loadAssignableEmployees(req, req.body.add);
+    const toRemove = await loadAssignableEmployees(req, req.body.remove);
+    if (toAdd.error || toRemove.error)
+      return res.status(403).json({ message: toAdd.error || toRemove.error });
+
+    const added = toAdd.employees.filter((e) => !training.assignedEmployees.includes(e.firebaseUid));
+    const removeUids = toRemove.employees.map((e) => e.firebaseUid);
+    training.assignedEmployees = training.assignedEmployees.filter((uid) => !removeUids.includes(uid));
+    toAdd.employees.forEach((e) => {
+      if (!training.assignedEmployees.includes(e.firebaseUid)) training.assignedEmployees.push(e.firebaseUid);
+    });
+
+    await training.save();
+    await syncAssignmentDues("training", training);
+
+    await addLog(
+      orgId,
+      `${req.user.name || req.user.email} updated assignees of training "${training.title}" (+${toAdd.employees.length} / -${toRemove.employees.length})`,
+      "assignment",
+      {
+        actor: req.user,
+        action: "training.assignees-updated",
+        targetType: "training",
+        targetId: training._id,
+        metadata: { added: toAdd.employees.length, removed: toRemove.employees.length },
+      }
+    );
+    emitToOrg(orgId, "training:assigned", {
+      trainingId: training._id,
+      assignedEmployees: training.assignedEmployees,
+    });
+    for (const emp of added) announceAssignment(emp, "training", training);
 
-    res.json(logs);
+    res.json({ message: "Assignees updated", assignedEmployees: training.assignedEmployees });
   } catch (err) {
-    res.status(500).json({ message: "Failed to load logs" });
+    console.error("TRAINING ASSIGN ERROR:", err);
+    res.status(500).json({ message: "Failed to update assignees" });
   }
 });
 
 /* ----------------------------------------
-   🔵 REQUIRED BY YOUR FRONTEND
-   GET ALL SOPs (RecentSOPs.jsx)
+   STATS
+---------------------------------------- */
 /* ----------------------------------------
-   GET ALL SOPs
+   ADMIN DASHBOARD STATS
 ---------------------------------------- */
-app.get("/api/sops", authenticate, async (req, res) => {
+
+app.get("/api/admin/training/progress", authenticate, authorize("progress:view"), async (req, res) => {
   try {
-    const sops = await SOP.find({ ownerId: req.user.firebaseUid })
-      .populate("assignedTo", "name email dept role")  // ✅ populate employees
-      .sort({ updated: -1 });
+    const orgId = req.user.orgId;
 
-    res.json(sops);
+    const employees = await Employee.find(employeeScope(req));
+    const videos = await TrainingVideo.find({ orgId });
+
+    const progress = await EmployeeProgress.find({
+      videoId: { $in: videos.map((v) => v._id.toString()) },
+    }).lean();
+
+    // rows are keyed by firebaseUid (older ones by Employee _id)
+    const findEmp = (p) => employees.find((e) => e.firebaseUid === p.employeeId || e._id.toString() === p.employeeId);
+
+    // managers: only rows for employees in their departments
+    const visible = progress.filter((p) => findEmp(p));
+
+    const result = visible.map((p) => {
+      const emp = findEmp(p);
+      const vid = videos.find((v) => v._id.toString() === p.videoId);
+
+      return {
+        _id: p._id,
+        employeeName: emp?.name || "Unknown",
+        employeeEmail: emp?.email || "",
+        videoTitle: vid?.title || "Unknown Video",
+        percent: p.progressPercent || 0,
+        watchedSeconds: Math.round(p.watchedSeconds || 0),
+        completed: p.completed || false,
+        score: p.score || null,
+        updatedAt: p.updatedAt,
+      };
+    });
+
+
+    res.json(result);
   } catch (err) {
-    console.error("SOP load error:", err);
-    res.status(500).json({ message: "Failed to load SOPs" });
+    console.error("ADMIN PROGRESS LIST ERROR:", err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
-/* =====================================================
-   CREATE SOP
-   POST /api/sops
-===================================================== */
-app.post("/api/sops", authenticate, async (req, res) => {
-  const ownerId = req.user.firebaseUid;
-  const { title, dept, content, assignedTo } = req.body;
+app.get("/api/admin/training-breakdown", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
 
-  if (!title || !dept || !content) {
-    return res.status(400).json({ message: "All fields are required" });
+    const records = await EmployeeTrainingProgress.find({ orgId, completed: true })
+      .populate("employeeId", "name email")
+      .populate("videoId", "title");
+
+    const result = records.map(r => ({
+      employeeName: r.employeeId?.name || "Unknown",
+      employeeEmail: r.employeeId?.email || "Unknown",
+      trainingTitle: r.videoId?.title || "Deleted Training",
+      trainingId: r.videoId?._id,
+      completedAt: r.completedAt,
+    }));
+
+    res.json(result);
+
+  } catch (err) {
+    console.error("Breakdown error:", err);
+    res.status(500).json({ message: "Failed to fetch breakdown" });
   }
+});
 
+// legacy aliases of the playback progress API
+app.post("/api/employee/training/progress", authenticate, recordPlaybackHeartbeat);
+app.get("/api/employee/progress/:id", authenticate, getPlaybackProgress);
+
+app.post("/api/employee/training/complete", authenticate, async (req, res) => {
   try {
-    const sop = await SOP.create({
-      ownerId,
-      title,
-      dept,
-      content,
-      assignedTo: assignedTo || [], // ✅ FIX
-      createdAt: new Date(),
-      updated: new Date(),
+    const { videoId } = req.body;
+    const employeeUid = req.user.firebaseUid;
+
+    const employee = await Employee.findOne({ firebaseUid: employeeUid });
+    const video = await TrainingVideo.findById(videoId);
+
+    if (!employee || !video) {
+      return res.status(404).json({ message: "Invalid employee or video" });
+    }
+
+    if (await rejectIfPathLocked(res, employee, "training", video._id)) return;
+
+    if (await rejectIfNotWatched(res, employee, video)) return;
+
+    if (!(await hasPassedQuiz(employeeUid, video)))
+      return res.status(403).json({ message: "Pass the quiz before completing this training" });
+
+    const progress = await markProgressCompleted(employee, video);
+
+    // update video completedBy
+    if (!video.completedBy.includes(employeeUid)) {
+      video.completedBy.push(employeeUid);
+      await video.save();
+    }
+
+    // update employee completedTrainings
+    if (!employee.completedTrainings.includes(videoId)) {
+      employee.completedTrainings.push(videoId);
+      await employee.save();
+    }
+
+    // 🔵 LOG
+    await addLog(employee.orgId,
+      `${employee.name} completed "${video.title}"`,
+      "training",
+      {
+        actor: employee,
+        action: "training.completed",
+        targetType: "training",
+        targetId: video._id,
+        metadata: { employeeId: employee._id },
+      }
+    );
+
+    // 🔵 WEBSOCKET PUSH
+    emitToOrg(employee.orgId, "training:completed", {
+      employee: employee.name,
+      video: video.title,
+    });
+    notifyAdmins(employee.orgId, "trainingUpdates", {
+      event: "training:completed",
+      title: `${employee.name} completed "${video.title}"`,
+      data: { trainingId: video._id, employeeId: employee._id },
     });
 
-    return res.json({ message: "SOP created successfully", sop });
+    res.json({ message: "Training completed", certificateUrl: progress.certificateUrl });
+
   } catch (err) {
-    console.error("CREATE SOP ERROR:", err);
-    return res.status(500).json({ message: "Server error creating SOP" });
+    console.error("Training complete error:", err);
+    res.status(500).json({ message: "Failed to complete training" });
   }
 });
 
-
 /* =====================================================
-   UPDATE / EDIT SOP
-   PUT /api/sops/:id
+   LEARNING PATHS
+   GET    /api/learning-paths
+   POST   /api/learning-paths          { title, description, steps: [{ contentType, contentId, prerequisites? }] }
+   GET    /api/learning-paths/:id
+   PUT    /api/learning-paths/:id
+   DELETE /api/learning-paths/:id
+   PUT    /api/learning-paths/:id/assign    { employeeIds, depts }
+   GET    /api/learning-paths/:id/progress
+   GET    /api/employee/learning-paths
+   GET    /api/employee/learning-paths/:id
+   Steps without explicit prerequisites require the previous step.
 ===================================================== */
-app.put("/api/sops/:id", authenticate, async (req, res) => {
-  const { id } = req.params;
-  const { title, dept, content, assignedTo } = req.body;
+async function validatePathSteps(orgId, steps) {
+  if (!Array.isArray(steps) || !steps.length) return { error: "At least one step is required" };
+
+  const normalized = [];
+
+  for (let i = 0; i < steps.length; i++) {
+    const { contentType, contentId, prerequisites } = steps[i] || {};
+
+    if (!["sop", "training"].includes(contentType))
+      return { error: `Step ${i + 1}: contentType must be sop or training` };
+    if (!mongoose.isValidObjectId(contentId)) return { error: `Step ${i + 1}: invalid contentId` };
+
+    const Model = contentType === "sop" ? SOP : TrainingVideo;
+    if (!(await Model.exists({ _id: contentId, orgId })))
+      return { error: `Step ${i + 1}: ${contentType === "sop" ? "SOP" : "training"} not found` };
+
+    if (normalized.some((s) => s.contentType === contentType && s.contentId === String(contentId)))
+      return { error: `Step ${i + 1}: content already used in this path` };
 
+    let prereqs = prerequisites === undefined ? (i > 0 ? [i - 1] : []) : prerequisites;
+    if (!Array.isArray(prereqs) || prereqs.some((p) => !Number.isInteger(p) || p < 0 || p >= i))
+      return { error: `Step ${i + 1}: prerequisites must be indexes of earlier steps` };
+    prereqs = [...new Set(prereqs)];
+
+    normalized.push({ contentType, contentId: String(contentId), prerequisites: prereqs });
+  }
+
+  return { steps: normalized };
+}
+
+async function serializePath(path) {
+  const content = await loadPathContent(path);
+  const json = path.toObject();
+  json.steps = json.steps.map((s) => ({ ...s, title: content.get(s.contentId.toString())?.title || null }));
+  return json;
+}
+
+app.get("/api/learning-paths", authenticate, authorize("content:view"), async (req, res) => {
   try {
-    const sop = await SOP.findById(id);
-    if (!sop) return res.status(404).json({ message: "SOP not found" });
+    const paths = await LearningPath.find({ orgId: req.user.orgId }).sort({ createdAt: -1 });
+    res.json(paths);
+  } catch (err) {
+    console.error("LIST PATHS ERROR:", err);
+    res.status(500).json({ message: "Failed to load learning paths" });
+  }
+});
 
-    // Update fields
-    if (title) sop.title = title;
-    if (dept) sop.dept = dept;
-    if (content) sop.content = content;
-    if (assignedTo) sop.assignedTo = assignedTo; // ✅ FIX
+app.post("/api/learning-paths", authenticate, authorize("content:edit"), async (req, res) => {
+  try {
+    const { title, description, steps } = req.body;
+    if (!title) return res.status(400).json({ message: "Title is required" });
 
-    sop.updated = new Date();
+    const checked = await validatePathSteps(req.user.orgId, steps);
+    if (checked.error) return res.status(400).json({ message: checked.error });
 
-    await sop.save();
+    const path = await LearningPath.create({
+      orgId: req.user.orgId,
+      title,
+      description,
+      steps: checked.steps,
+      createdBy: req.user.firebaseUid,
+    });
+
+    await addLog(req.user.orgId, `Created learning path "${title}" (${path.steps.length} steps)`, "learning-path", {
+      actor: req.user,
+      action: "learning-path.created",
+      targetType: "learning-path",
+      targetId: path._id,
+    });
+    emitToOrg(req.user.orgId, "learning-path:created", { pathId: path._id, title });
 
-    return res.json({ message: "SOP updated successfully", sop });
+    res.json(await serializePath(path));
   } catch (err) {
-    console.error("UPDATE SOP ERROR:", err);
-    return res.status(500).json({ message: "Server error updating SOP" });
+    console.error("CREATE PATH ERROR:", err);
+    res.status(500).json({ message: "Failed to create learning path" });
   }
 });
 
+app.get("/api/learning-paths/:id", authenticate, authorize("content:view"), async (req, res) => {
+  try {
+    const path = await LearningPath.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!path) return res.status(404).json({ message: "Learning path not found" });
 
-/* =====================================================
-   GET A SINGLE SOP (View Page)
-   /api/sops/:id
-===================================================== */
-app.get("/api/sops/:id", authenticate, async (req, res) => {
-  const ownerId = req.user.firebaseUid;
-  const { id } = req.params;
+    res.json(await serializePath(path));
+  } catch (err) {
+    console.error("GET PATH ERROR:", err);
+    res.status(500).json({ message: "Failed to load learning path" });
+  }
+});
 
+app.put("/api/learning-paths/:id", authenticate, authorize("content:edit"), async (req, res) => {
   try {
-    const sop = await SOP.findOne({ _id: id, ownerId })
-      .populate("assignedTo", "name email");
+    const path = await LearningPath.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!path) return res.status(404).json({ message: "Learning path not found" });
 
-    if (!sop) {
-      return res.status(404).json({ message: "SOP not found" });
+    const { title, description, steps } = req.body;
+
+    if (steps !== undefined) {
+      const checked = await validatePathSteps(req.user.orgId, steps);
+      if (checked.error) return res.status(400).json({ message: checked.error });
+      path.steps = checked.steps;
     }
+    if (title) path.title = title;
+    if (description !== undefined) path.description = description;
+    path.updatedAt = new Date();
+
+    await path.save();
+
+    // new steps must reach everyone already on the path
+    const assignments =
+      steps !== undefined
+        ? await applyPlanWithLog(
+            path.orgId,
+            await planPathAssignments(path, await employeesForPath(path)),
+            `for learning path "${path.title}"`
+          )
+        : [];
+
+    await addLog(req.user.orgId, `Updated learning path "${path.title}"`, "learning-path", {
+      actor: req.user,
+      action: "learning-path.updated",
+      targetType: "learning-path",
+      targetId: path._id,
+    });
+    emitToOrg(req.user.orgId, "learning-path:updated", { pathId: path._id });
 
-    res.json(sop);
+    res.json({ path: await serializePath(path), assignments });
   } catch (err) {
-    console.error("GET SOP ERROR:", err);
-    res.status(500).json({ message: "Server error loading SOP" });
+    console.error("UPDATE PATH ERROR:", err);
+    res.status(500).json({ message: "Failed to update learning path" });
   }
 });
 
+app.delete("/api/learning-paths/:id", authenticate, authorize("content:delete"), async (req, res) => {
+  try {
+    const deleted = await LearningPath.findOneAndDelete({ _id: req.params.id, orgId: req.user.orgId });
+    if (!deleted) return res.status(404).json({ message: "Learning path not found" });
+
+    await addLog(req.user.orgId, `Deleted learning path "${deleted.title}"`, "learning-path", {
+      actor: req.user,
+      action: "learning-path.deleted",
+      targetType: "learning-path",
+      targetId: deleted._id,
+    });
+    emitToOrg(req.user.orgId, "learning-path:deleted", { pathId: deleted._id });
 
+    res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("DELETE PATH ERROR:", err);
+    res.status(500).json({ message: "Failed to delete learning path" });
+  }
+});
 
-/* =====================================================
-   CLEAR SOP CONTENT
-   /api/sops/:id/clear
-===================================================== */
-app.put("/api/sops/:id/clear", authenticate, async (req, res) => {
-  const ownerId = req.user.firebaseUid;
-  const { id } = req.params;
-
+// Replaces the path's audience; content is assigned to anyone newly covered
+app.put("/api/learning-paths/:id/assign", authenticate, authorize("assignments:manage"), async (req, res) => {
   try {
-    const sop = await SOP.findOne({ _id: id, ownerId });
+    const orgId = req.scope.orgId;
 
-    if (!sop) {
-      return res.status(404).json({ message: "SOP not found" });
+    const path = await LearningPath.findOne({ _id: req.params.id, orgId });
+    if (!path) return res.status(404).json({ message: "Learning path not found" });
+
+    const { employeeIds = [], depts = [] } = req.body;
+    if (!Array.isArray(depts)) return res.status(400).json({ message: "depts must be an array" });
+
+    const selected = await loadAssignableEmployees(req, employeeIds);
+    if (selected.error) return res.status(403).json({ message: selected.error });
+
+    // managers can only target their own departments, and keep the rest of the audience intact
+    if (req.scope.depts) {
+      if (depts.some((d) => !req.scope.depts.includes(d)))
+        return res.status(403).json({ message: "Some departments are outside your scope" });
+
+      const others = await Employee.find({ _id: { $in: path.assignedEmployees } }).select("dept");
+      const keep = others.filter((e) => !req.scope.depts.includes(e.dept)).map((e) => e._id);
+      path.assignedEmployees = [...keep, ...selected.employees.map((e) => e._id)];
+      path.assignedDepts = [...path.assignedDepts.filter((d) => !req.scope.depts.includes(d)), ...depts];
+    } else {
+      path.assignedEmployees = selected.employees.map((e) => e._id);
+      path.assignedDepts = depts;
     }
 
-    sop.content = "";
-    sop.updated = new Date();
+    path.updatedAt = new Date();
+    await path.save();
 
-    await sop.save();
+    const assignments = await applyPlanWithLog(
+      orgId,
+      await planPathAssignments(path, await employeesForPath(path)),
+      `for learning path "${path.title}"`
+    );
 
-    res.json(sop);
+    await addLog(
+      orgId,
+      `${req.user.name || req.user.email} assigned learning path "${path.title}" to ${path.assignedEmployees.length} employee(s) and ${path.assignedDepts.length} department(s)`,
+      "learning-path",
+      {
+        actor: req.user,
+        action: "learning-path.assigned",
+        targetType: "learning-path",
+        targetId: path._id,
+        metadata: { employees: path.assignedEmployees.length, depts: path.assignedDepts },
+      }
+    );
+    emitToOrg(orgId, "learning-path:assigned", {
+      pathId: path._id,
+      assignedEmployees: path.assignedEmployees,
+      assignedDepts: path.assignedDepts,
+    });
+
+    res.json({ path, assignments });
   } catch (err) {
-    console.error("CLEAR SOP ERROR:", err);
-    res.status(500).json({ message: "Failed to clear SOP" });
+    console.error("ASSIGN PATH ERROR:", err);
+    res.status(500).json({ message: "Failed to assign learning path" });
   }
 });
 
-/* ----------------------------------------
-   TRAINING ROUTES
----------------------------------------- */
-app.post("/api/training", authenticate, requireAdmin, async (req, res) => {
+app.get("/api/learning-paths/:id/progress", authenticate, authorize("progress:view"), async (req, res) => {
   try {
-    const { title, description, videoUrl, thumbnailUrl, assignedEmployees } =
-      req.body;
+    const path = await LearningPath.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!path) return res.status(404).json({ message: "Learning path not found" });
+
+    const employees = (await employeesForPath(path)).filter((e) => inEmployeeScope(req, e));
+    const content = await loadPathContent(path);
+
+    const done = await loadCompletedKeys(
+      employees.flatMap((emp) =>
+        path.steps.map((s) => ({
+          contentType: s.contentType,
+          contentId: s.contentId,
+          employeeId: emp._id,
+          employeeUid: emp.firebaseUid,
+        }))
+      )
+    );
 
-    if (!title || !videoUrl)
-      return res.status(400).json({ message: "Missing required fields" });
+    const result = employees.map((emp) => {
+      const progress = buildPathProgress(path, emp, done, content);
+      return {
+        employeeId: emp._id,
+        name: emp.name,
+        email: emp.email,
+        dept: emp.dept,
+        percent: progress.percent,
+        completedSteps: progress.completedSteps,
+        currentStep: progress.currentStep,
+        currentStepTitle: progress.steps[progress.currentStep]?.title || null,
+        completed: progress.completed,
+      };
+    });
 
-    let finalThumbnail = thumbnailUrl;
-    if (!finalThumbnail)
-      finalThumbnail = videoUrl.replace("/upload/", "/upload/so_1/");
+    res.json({ pathId: path._id, title: path.title, totalSteps: path.steps.length, employees: result });
+  } catch (err) {
+    console.error("PATH PROGRESS ERROR:", err);
+    res.status(500).json({ message: "Failed to load learning path progress" });
+  }
+});
 
-    const training = await new TrainingVideo({
-      ownerId: req.user.firebaseUid,
-      title,
-      description,
-      videoUrl,
-      thumbnailUrl: finalThumbnail,
-      assignedEmployees: assignedEmployees || [],
-    }).save();
+app.get("/api/employee/learning-paths", authenticate, authorize("self:learn"), async (req, res) => {
+  try {
+    const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
+    if (!emp) return res.status(404).json({ message: "Employee not found" });
 
-    await addLog(req.user.firebaseUid, `Created training "${title}"`, "training");
+    const paths = (await LearningPath.find({ orgId: emp.orgId }).sort({ createdAt: 1 })).filter((p) =>
+      pathAppliesTo(p, emp)
+    );
 
-    emitToOwner(req.user.firebaseUid, "training:created", training);
+    const result = [];
+    for (const path of paths) {
+      const { steps, ...summary } = await loadPathProgress(path, emp, await loadPathContent(path));
+      result.push({ ...summary, description: path.description, currentStepTitle: steps[summary.currentStep]?.title || null });
+    }
 
-    res.json(training);
+    res.json(result);
   } catch (err) {
-    console.log("Training create error:", err);
-    res.status(500).json({ message: "Failed to create training" });
+    console.error("EMPLOYEE PATHS ERROR:", err);
+    res.status(500).json({ message: "Failed to load learning paths" });
   }
 });
 
-app.delete("/api/training/:id", authenticate, requireAdmin, async (req, res) => {
-  const deleted = await TrainingVideo.findOneAndDelete({
-    _id: req.params.id,
-    ownerId: req.user.firebaseUid,
-  });
-
-  if (!deleted)
-    return res.status(404).json({ message: "Training video not found" });
+app.get("/api/employee/learning-paths/:id", authenticate, authorize("self:learn"), async (req, res) => {
+  try {
+    const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
+    if (!emp) return res.status(404).json({ message: "Employee not found" });
 
-  await addLog(
-    req.user.firebaseUid,
-    `Deleted training "${deleted.title}"`,
-    "training"
-  );
+    const path = await LearningPath.findOne({ _id: req.params.id, orgId: emp.orgId });
+    if (!path || !pathAppliesTo(path, emp)) return res.status(404).json({ message: "Learning path not found" });
 
-  emitToOwner(req.user.firebaseUid, "training:deleted", deleted);
+    const progress = await loadPathProgress(path, emp, await loadPathContent(path));
 
-  res.json({ message: "Deleted" });
+    res.json({ ...progress, description: path.description });
+  } catch (err) {
+    console.error("EMPLOYEE PATH ERROR:", err);
+    res.status(500).json({ message: "Failed to load learning path" });
+  }
 });
 
-/* ----------------------------------------
-   EMPLOYEE TRAINING COMPLETE
----------------------------------------- */
-app.post("/api/training/:id/complete", authenticate, async (req, res) => {
-  try {
-    const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
-    if (!emp) return res.status(404).json({ message: "Employee not found" });
+/* =====================================================
+   CERTIFICATES
+   GET  /api/certificates/:id/verify        (public)
+   GET  /api/certificates?employeeId=&contentId=
+   POST /api/certificates/:id/revoke         { reason }
+   POST /api/certificates/:id/reissue
+===================================================== */
+if (process.env.NODE_ENV === "production" && !process.env.CERT_SIGNING_SECRET) {
+  console.error("Missing CERT_SIGNING_SECRET (required in production to sign certificates)");
+  process.exit(1);
+}
+const CERT_SIGNING_SECRET = process.env.CERT_SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.CERT_SIGNING_SECRET)
+  console.warn("⚠️ CERT_SIGNING_SECRET not set - certificates issued now will fail verification after a restart");
+
+// Base URL of this API as reachable from outside (used in certificate QR codes)
+function publicApiUrl(pathname) {
+  const base = process.env.PUBLIC_API_URL || process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, "")}${pathname}`;
+}
 
-    const training = await TrainingVideo.findById(req.params.id);
-    if (!training) return res.status(404).json({ message: "Training not found" });
+function signCertificate(cert) {
+  return hmacHex(CERT_SIGNING_SECRET, certificatePayload(cert));
+}
 
-    if (training.ownerId !== emp.ownerId)
-      return res.status(403).json({ message: "Not allowed" });
+function hasValidSignature(cert) {
+  return signatureMatches(CERT_SIGNING_SECRET, certificatePayload(cert), cert.signature);
+}
 
-    if (
-      training.assignedEmployees.length > 0 &&
-      !training.assignedEmployees.includes(emp.firebaseUid)
-    ) {
-      return res.status(403).json({ message: "Not assigned to you" });
-    }
+function newCertificateId() {
+  return crypto.randomBytes(8).toString("hex").toUpperCase().match(/.{4}/g).join("-");
+}
 
-    if (!training.completedBy.includes(emp.firebaseUid)) {
-      training.completedBy.push(emp.firebaseUid);
-    }
+// Creates the signed record, renders the PDF with its QR code and stores the upload URL
+async function issueCertificate({
+  emp,
+  contentType,
+  item,
+  revision,
+  replaces = null,
+  certificateId = newCertificateId(),
+  completedAt,
+  score = null,
+}) {
+  const org = await Organization.findById(emp.orgId).select("name");
+  const template = await findCertificateTemplate(emp.orgId, contentType);
+
+  const cert = new Certificate({
+    certificateId,
+    orgId: emp.orgId,
+    organizationName: org?.name || "",
+    employeeId: emp._id,
+    employeeUid: emp.firebaseUid,
+    employeeName: emp.name,
+    contentType,
+    contentId: item._id,
+    contentTitle: item.title,
+    revision: revision ?? null,
+    issuedAt: new Date(),
+    completedAt: completedAt || new Date(),
+    score,
+    templateId: template?._id || null,
+    replaces,
+  });
+  cert.signature = signCertificate(cert);
 
-    if (training.assignedEmployees.length === 0) {
-      training.status = "completed";
-    } else {
-      const allCompleted = training.assignedEmployees.every((uid) =>
-        training.completedBy.includes(uid)
-      );
-      if (allCompleted) training.status = "completed";
-    }
+  // saved before the PDF is uploaded, so a failed save leaves no orphaned file
+  await cert.save();
 
-    await training.save();
+  try {
+    cert.url = await generateCertificate({
+      employeeName: cert.employeeName,
+      sopTitle: cert.contentTitle,
+      certificateId: cert.certificateId,
+      issuedAt: cert.issuedAt,
+      organization: cert.organizationName,
+      verifyUrl: publicApiUrl(`/api/certificates/${cert.certificateId}/verify`),
+      contentType,
+      completedAt: cert.completedAt,
+      score,
+      template: template?.toObject(),
+    });
 
-    // Create or update EmployeeProgress entry
-    let progressEntry = await EmployeeProgress.findOne({
-      ownerId: emp.ownerId,
-      employeeId: emp._id.toString(),
-      videoId: training._id.toString(),
-    });
-
-    if (!progressEntry) {
-      progressEntry = new EmployeeProgress({
-        ownerId: emp.ownerId,
-        employeeId: emp._id.toString(),
-        videoId: training._id.toString(),
-        percent: 100,
-        completed: true,
-        score: null,
-      });
-    } else {
-      progressEntry.percent = 100;
-      progressEntry.completed = true;
-    }
+    await cert.save();
+  } catch (err) {
+    await Certificate.deleteOne({ _id: cert._id });
+    throw err;
+  }
 
-    await progressEntry.save();
+  emitToEmployee(emp.orgId, emp.firebaseUid, "certificate:issued", {
+    certificateId: cert.certificateId,
+    contentType,
+    contentId: item._id,
+    title: cert.contentTitle,
+    url: cert.url,
+  });
 
+  return cert;
+}
 
-    if (!emp.completedTrainings.includes(training._id)) {
-      emp.completedTrainings.push(training._id);
-      await emp.save();
-    }
+function certificateStatus(cert) {
+  if (!hasValidSignature(cert)) return "invalid";
+  if (cert.revokedAt) return cert.replacedBy ? "superseded" : "revoked";
+  return "valid";
+}
 
-    await addLog(
-      emp.ownerId,
-      `${emp.name} completed training "${training.title}"`,
-      "training"
-    );
+app.get("/api/certificates/:id/verify", async (req, res) => {
+  try {
+    const cert = await Certificate.findOne({ certificateId: String(req.params.id).toUpperCase() });
+    if (!cert) return res.status(404).json({ valid: false, status: "not_found", message: "Unknown certificate" });
 
-    emitToOwner(emp.ownerId, "training:completed", { training, employee: emp });
+    const status = certificateStatus(cert);
 
-    res.json({ message: "Marked complete", training });
+    res.json({
+      valid: status === "valid",
+      status,
+      certificate: {
+        id: cert.certificateId,
+        employeeName: cert.employeeName,
+        title: cert.contentTitle,
+        type: cert.contentType,
+        revision: cert.revision,
+        organization: cert.organizationName,
+        issuedAt: cert.issuedAt,
+        revokedAt: cert.revokedAt,
+        revokeReason: cert.revokedAt ? cert.revokeReason : undefined,
+        replacedBy: cert.replacedBy,
+      },
+    });
   } catch (err) {
-    console.error("Mark complete error:", err);
-    res.status(500).json({ message: "Failed to mark complete" });
+    console.error("VERIFY CERTIFICATE ERROR:", err);
+    res.status(500).json({ message: "Failed to verify certificate" });
   }
 });
 
-app.get("/api/training", authenticate, requireAdmin, async (req, res) => {
+app.get("/api/certificates", authenticate, authorize("progress:view"), async (req, res) => {
   try {
-    const videos = await TrainingVideo.find({ ownerId: req.user.firebaseUid })
-      .sort({ createdAt: -1 });
+    const employees = await Employee.find(employeeScope(req)).select("_id");
+    const filter = { orgId: req.user.orgId, employeeId: { $in: employees.map((e) => e._id) } };
 
-    res.json(videos);
+    if (req.query.employeeId) {
+      if (!employees.some((e) => e._id.toString() === req.query.employeeId))
+        return res.status(404).json({ message: "Employee not found" });
+      filter.employeeId = req.query.employeeId;
+    }
+    if (req.query.contentId) {
+      if (!mongoose.isValidObjectId(req.query.contentId))
+        return res.status(400).json({ message: "Invalid contentId" });
+      filter.contentId = req.query.contentId;
+    }
+
+    const certs = await Certificate.find(filter).sort({ issuedAt: -1 }).limit(500);
+
+    res.json(certs.map((c) => ({ ...c.toObject(), signature: undefined, status: certificateStatus(c) })));
   } catch (err) {
-    res.status(500).json({ message: "Failed to fetch training videos" });
+    console.error("LIST CERTIFICATES ERROR:", err);
+    res.status(500).json({ message: "Failed to load certificates" });
   }
 });
 
-/* ----------------------------------------
-   EMPLOYEE: GET TRAINING LIST
-   GET /api/employee/training
----------------------------------------- */
-app.get("/api/employee/training", authenticate, async (req, res) => {
+app.post("/api/certificates/:id/revoke", authenticate, requireAdmin, async (req, res) => {
   try {
-    const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
-    if (!emp) return res.status(404).json({ message: "Employee not found" });
-
-    // Get all training created by the same owner/company
-    const allTraining = await TrainingVideo.find({ ownerId: emp.ownerId })
-      .sort({ createdAt: -1 });
+    const cert = await Certificate.findOne({ certificateId: req.params.id, orgId: req.user.orgId });
+    if (!cert) return res.status(404).json({ message: "Certificate not found" });
+    if (cert.revokedAt) return res.status(400).json({ message: "Certificate already revoked" });
 
-    // Visible rules:
-    // 1. Global training (assignedEmployees = empty)
-    // 2. Assigned directly to this employee
-    const visibleTraining = allTraining.filter((t) => {
-      const assigned = t.assignedEmployees || [];
-      return assigned.length === 0 || assigned.includes(emp.firebaseUid);
-    });
+    cert.revokedAt = new Date();
+    cert.revokedBy = req.user.firebaseUid;
+    cert.revokeReason = String(req.body?.reason || "").slice(0, 500);
+    await cert.save();
 
-    // Build final response object
-    const response = visibleTraining.map((t) => ({
-      _id: t._id,
-      title: t.title,
-      description: t.description,
-      videoUrl: t.videoUrl,
-      thumbnailUrl: t.thumbnailUrl,
-      assignedEmployees: t.assignedEmployees || [],
-      completed: (t.completedBy || []).includes(emp.firebaseUid),
-      status: t.status || "active",
-      createdAt: t.createdAt,
-    }));
+    await addLog(
+      req.user.orgId,
+      `Revoked certificate ${cert.certificateId} (${cert.employeeName} - "${cert.contentTitle}")`,
+      "certificate",
+      {
+        actor: req.user,
+        action: "certificate.revoked",
+        targetType: "certificate",
+        targetId: cert.certificateId,
+        metadata: { employeeId: cert.employeeId, contentId: cert.contentId },
+      }
+    );
+    emitToOrg(req.user.orgId, "certificate:revoked", { certificateId: cert.certificateId });
 
-    res.json(response);
+    res.json({ message: "Certificate revoked", status: certificateStatus(cert) });
   } catch (err) {
-    console.log("Employee training list error:", err);
-    res.status(500).json({ message: "Failed to load employee training" });
+    console.error("REVOKE CERTIFICATE ERROR:", err);
+    res.status(500).json({ message: "Failed to revoke certificate" });
   }
 });
 
-app.post("/api/users/register-admin", authenticate, async (req, res) => {
+// Issues a fresh certificate with current names/titles and supersedes the old one
+app.post("/api/certificates/:id/reissue", authenticate, requireAdmin, async (req, res) => {
   try {
-    const { firebaseUid, email } = req.user;
+    const old = await Certificate.findOne({ certificateId: req.params.id, orgId: req.user.orgId });
+    if (!old) return res.status(404).json({ message: "Certificate not found" });
+    if (old.replacedBy) return res.status(400).json({ message: `Already reissued as ${old.replacedBy}` });
 
-    let user = await User.findOne({ firebaseUid });
+    const emp = await Employee.findById(old.employeeId);
+    if (!emp) return res.status(404).json({ message: "Employee no longer exists" });
 
-    // If user already exists but no role, make him admin
-    if (user) {
-      user.role = "admin";
-      await user.save();
-      return res.json({ ok: true, message: "Admin role updated" });
+    const Model = old.contentType === "sop" ? SOP : TrainingVideo;
+    const item = (await Model.findById(old.contentId)) || { _id: old.contentId, title: old.contentTitle };
+
+    const cert = await issueCertificate({
+      emp,
+      contentType: old.contentType,
+      item,
+      revision: old.revision,
+      replaces: old.certificateId,
+      completedAt: old.completedAt || old.issuedAt,
+      score: old.score,
+    });
+
+    old.revokedAt = old.revokedAt || new Date();
+    old.revokedBy = old.revokedBy || req.user.firebaseUid;
+    old.revokeReason = old.revokeReason || "Reissued";
+    old.replacedBy = cert.certificateId;
+    await old.save();
+
+    // point the completion record at the new PDF
+    if (old.contentType === "sop") {
+      await EmployeeSOPProgress.updateOne(
+        { employeeId: emp.firebaseUid, sopId: old.contentId, certificateId: old.certificateId },
+        { certificateId: cert.certificateId, certificateUrl: cert.url }
+      );
+    } else {
+      await EmployeeProgress.updateOne(
+        { videoId: old.contentId.toString(), certificateId: old.certificateId },
+        { certificateId: cert.certificateId, certificateUrl: cert.url }
+      );
     }
 
-    // Create new admin
-    user = await User.create({
-      firebaseUid,
-      email,
-      role: "admin",
+    await addLog(
+      req.user.orgId,
+      `Reissued certificate ${old.certificateId} as ${cert.certificateId} for ${emp.name}`,
+      "certificate",
+      {
+        actor: req.user,
+        action: "certificate.reissued",
+        targetType: "certificate",
+        targetId: cert.certificateId,
+        metadata: { replaces: old.certificateId, employeeId: emp._id, contentId: old.contentId },
+      }
+    );
+    emitToOrg(req.user.orgId, "certificate:reissued", {
+      previous: old.certificateId,
+      certificateId: cert.certificateId,
     });
 
-    res.json({ ok: true, message: "Admin registered", user });
+    res.json({ message: "Certificate reissued", certificate: { ...cert.toObject(), signature: undefined } });
   } catch (err) {
-    console.log(err);
-    res.status(500).json({ message: "Failed to register admin" });
+    console.error("REISSUE CERTIFICATE ERROR:", err);
+    res.status(500).json({ message: "Failed to reissue certificate" });
   }
 });
 
+/* =====================================================
+   CERTIFICATE TEMPLATES (admin)
+   GET    /api/certificate-templates
+   POST   /api/certificate-templates
+   PUT    /api/certificate-templates/:id
+   DELETE /api/certificate-templates/:id
+   PUT    /api/certificate-templates/:id/images/:kind   { image: "data:image/png;base64,..." }  kind = logo | signature
+   DELETE /api/certificate-templates/:id/images/:kind
+   GET    /api/certificate-templates/:id/preview        sample PDF
+   POST   /api/certificate-templates/preview            sample PDF of an unsaved template
+===================================================== */
+const TEMPLATE_TEXT_FIELDS = ["name", "heading", "intro", "body", "footer", "signatoryName", "signatoryTitle"];
+const TEMPLATE_IMAGE_MAX_BYTES = 1024 * 1024;
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+// Template used for a new certificate: type-specific default, then an "all" default
+async function findCertificateTemplate(orgId, contentType) {
+  const defaults = await CertificateTemplate.find({
+    orgId,
+    isDefault: true,
+    appliesTo: { $in: [contentType, "all"] },
+  });
+  return defaults.find((t) => t.appliesTo === contentType) || defaults[0] || null;
+}
 
-// app.post("/api/training", authenticate, requireAdmin, async (req, res) => {
-//   try {
-//     const {
-//       title,
-//       description,
-//       videoUrl,
-//       thumbnailUrl,
-//       assignedEmployees = []
-//     } = req.body;
-
-//     const newVideo = await TrainingVideo.create({
-//       ownerId: req.user.firebaseUid,
-//       title,
-//       description,
-//       videoUrl,
-//       thumbnailUrl,
-//       assignedEmployees,
-//       status: "active",
-//       completedBy: []
-//     });
-
-//     res.json(newVideo);
-//   } catch (err) {
-//     res.status(500).json({ message: "Failed to create training video" });
-//   }
-// });
-app.get("/api/training/:id", authenticate, async (req, res) => {
-  try {
-    const video = await TrainingVideo.findById(req.params.id);
-
-    if (!video) {
-      return res.status(404).json({ message: "Video not found" });
+// Copies allowed fields from the request body; returns an error message or null
+function applyTemplateFields(template, body) {
+  for (const field of TEMPLATE_TEXT_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "string" || body[field].length > 1000) return `${field} must be a string`;
+    template[field] = body[field];
+  }
+
+  for (const [field, values] of [
+    ["appliesTo", ["all", "sop", "training"]],
+    ["pageSize", ["A4", "LETTER"]],
+    ["orientation", ["landscape", "portrait"]],
+  ]) {
+    if (body[field] === undefined) continue;
+    if (!values.includes(body[field])) return `${field} must be one of ${values.join(", ")}`;
+    template[field] = body[field];
+  }
+
+  if (body.colors !== undefined) {
+    for (const key of ["primary", "text", "accent"]) {
+      const color = body.colors?.[key];
+      if (color === undefined) continue;
+      if (!HEX_COLOR_RE.test(color)) return `colors.${key} must be a hex color like #1f2937`;
+      template.colors[key] = color;
     }
+  }
 
-    // Employees should be allowed to view any video that exists
-    res.json(video);
+  if (body.isDefault !== undefined) template.isDefault = !!body.isDefault;
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Failed to load video" });
+  return null;
+}
+
+// Stored form of an image URL used by one of the org's templates, or null;
+// previews take the (presigned) URL the client was given back
+async function findTemplateImageUrl(orgId, url) {
+  if (typeof url !== "string") return null;
+
+  const key = storedFileKey(url, { anyForm: true });
+  const templates = await CertificateTemplate.find({ orgId }).select("logoUrl signatureUrl");
+
+  for (const stored of templates.flatMap((t) => [t.logoUrl, t.signatureUrl])) {
+    if (!stored) continue;
+    if (stored === url || (key && storedFileKey(stored) === key)) return stored;
   }
-});
+  return null;
+}
 
-// GET employee progress for a video
-app.get("/api/employee/progress", authenticate, async (req, res) => {
-  try {
-    const employeeId = req.user.firebaseUid;
+// Removes a template image from storage; older templates only have the URL,
+// which is enough to find locally stored files
+async function removeTemplateImage(template, kind) {
+  const file = template[`${kind}File`];
+  if (file?.key) return removeStoredFile(file);
 
-    let progress = await EmployeeProgress.find({ employeeId });
+  const localKey = storedFileKey(template[`${kind}Url`]);
+  if (localKey) await removeStoredFile({ key: localKey, driver: "local" });
+}
 
-    // Convert ObjectId to string so frontend can match video._id
-    progress = progress.map((p) => ({
-      ...p._doc,
-      videoId: p.videoId.toString(),
-    }));
+// Only one default per appliesTo value
+async function clearOtherDefaults(template) {
+  if (!template.isDefault) return;
+  await CertificateTemplate.updateMany(
+    { orgId: template.orgId, appliesTo: template.appliesTo, _id: { $ne: template._id } },
+    { isDefault: false }
+  );
+}
 
-    res.json(progress);
+async function sendCertificatePreview(res, template, orgId) {
+  const org = await Organization.findById(orgId).select("name");
+  const contentType = template.appliesTo === "training" ? "training" : "sop";
+  const sampleId = "PREV-IEW0-0000-0000";
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", 'inline; filename="certificate-preview.pdf"');
+
+  const doc = newCertificateDocument(template);
+  doc.pipe(res);
+
+  const today = new Date().toISOString().slice(0, 10);
+  await renderCertificate(doc, template, {
+    employeeName: "Jane Doe",
+    sopTitle: contentType === "training" ? "Food Hygiene Basics" : "Workplace Safety Procedure",
+    title: contentType === "training" ? "Food Hygiene Basics" : "Workplace Safety Procedure",
+    contentLabel: contentType === "training" ? "training" : "SOP",
+    completedAt: today,
+    issuedAt: today,
+    score: "92%",
+    organization: org?.name || "Your Organization",
+    certificateId: sampleId,
+    verifyUrl: publicApiUrl(`/api/certificates/${sampleId}/verify`),
+  });
+}
+
+app.get("/api/certificate-templates", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const templates = await CertificateTemplate.find({ orgId: req.user.orgId }).sort({ createdAt: 1 });
+    res.json({ defaults: DEFAULT_CERTIFICATE_TEMPLATE, templates });
   } catch (err) {
-    console.error("Progress fetch error:", err);
-    res.status(500).json({ message: "Failed to load progress" });
+    console.error("LIST TEMPLATES ERROR:", err);
+    res.status(500).json({ message: "Failed to load certificate templates" });
   }
 });
 
-// SAVE employee progress
-app.post("/api/employee/progress", authenticate, async (req, res) => {
+app.post("/api/certificate-templates", authenticate, requireAdmin, async (req, res) => {
   try {
-    const { videoId, completed } = req.body;
+    if (!req.body?.name) return res.status(400).json({ message: "Name is required" });
 
-    const employeeId = req.user.firebaseUid;
+    const template = new CertificateTemplate({ orgId: req.user.orgId });
+    const error = applyTemplateFields(template, req.body);
+    if (error) return res.status(400).json({ message: error });
 
-    const updated = await EmployeeProgress.findOneAndUpdate(
-      { employeeId, videoId: String(videoId) },   // ensure string
-      {
-        employeeId,
-        videoId: String(videoId),
-        completed,
-        updated: new Date(),
-      },
-      { upsert: true, new: true }
-    );
+    await template.save();
+    await clearOtherDefaults(template);
+
+    await addLog(req.user.orgId, `Created certificate template "${template.name}"`, "certificate", {
+      actor: req.user,
+      action: "certificate-template.created",
+      targetType: "certificate-template",
+      targetId: template._id,
+    });
 
-    res.json(updated);
+    res.json(template);
   } catch (err) {
-    console.error("Progress save error:", err);
-    res.status(500).json({ message: "Failed to save progress" });
+    console.error("CREATE TEMPLATE ERROR:", err);
+    res.status(500).json({ message: "Failed to create certificate template" });
   }
 });
 
-// SAVE quiz score
-app.post("/api/employee/score", authenticate, async (req, res) => {
+// must stay above the :id routes
+app.post("/api/certificate-templates/preview", authenticate, requireAdmin, async (req, res) => {
   try {
-    const { videoId, score } = req.body;
-
-    const savedScore = await EmployeeScore.findOneAndUpdate(
-      { employeeId: req.user.firebaseUid, videoId },
-      { score },
-      { upsert: true, new: true }
-    );
+    const template = new CertificateTemplate({ orgId: req.user.orgId, name: "Preview" });
+    const error = applyTemplateFields(template, req.body || {});
+    if (error) return res.status(400).json({ message: error });
+
+    // images of a saved template can be reused while editing
+    for (const field of ["logoUrl", "signatureUrl"]) {
+      if (!req.body?.[field]) continue;
+      const stored = await findTemplateImageUrl(req.user.orgId, req.body[field]);
+      if (!stored) return res.status(400).json({ message: `${field} must be an image of one of your templates` });
+      template[field] = stored;
+    }
 
-    res.json(savedScore);
+    await sendCertificatePreview(res, template.toObject(), req.user.orgId);
   } catch (err) {
-    res.status(500).json({ message: "Failed to save score" });
+    console.error("TEMPLATE PREVIEW ERROR:", err);
+    if (!res.headersSent) res.status(500).json({ message: "Failed to render preview" });
   }
 });
 
-// backend: GET /api/training/:id
-// app.get("/api/training/:id", authenticate, async (req, res) => {
-//   try {
-//     const video = await TrainingVideo.findOne({
-//       _id: req.params.id,
-//       ownerId: req.user.firebaseUid
-//     });
-
-//     if (!video) {
-//       return res.status(404).json({ message: "Video not found" });
-//     }
-
-//     res.json({
-//       id: video._id,
-//       title: video.title,
-//       description: video.description,
-//       videoUrl: video.videoUrl,
-//       quiz: video.quiz || []
-//     });
-//   } catch (err) {
-//     res.status(500).json({ message: "Failed to load video" });
-//   }
-// });
+app.put("/api/certificate-templates/:id", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const template = await CertificateTemplate.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!template) return res.status(404).json({ message: "Template not found" });
 
+    const error = applyTemplateFields(template, req.body || {});
+    if (error) return res.status(400).json({ message: error });
 
-// app.delete("/api/training/:id", authenticate, requireAdmin, async (req, res) => {
-//   try {
-//     const deleted = await TrainingVideo.findOneAndDelete({
-//       _id: req.params.id,
-//       ownerId: req.user.firebaseUid,
-//     });
+    template.updatedAt = new Date();
+    await template.save();
+    await clearOtherDefaults(template);
 
-//     if (!deleted)
-//       return res.status(404).json({ message: "Video not found" });
+    await addLog(req.user.orgId, `Updated certificate template "${template.name}"`, "certificate", {
+      actor: req.user,
+      action: "certificate-template.updated",
+      targetType: "certificate-template",
+      targetId: template._id,
+    });
 
-//     res.json({ message: "Training video deleted" });
-//   } catch (err) {
-//     res.status(500).json({ message: "Failed to delete video" });
-//   }
-// });
+    res.json(template);
+  } catch (err) {
+    console.error("UPDATE TEMPLATE ERROR:", err);
+    res.status(500).json({ message: "Failed to update certificate template" });
+  }
+});
 
-/* =====================================================
-   GET ALL EMPLOYEES
-   GET /api/employees
-===================================================== */
-app.get("/api/employees", authenticate, requireAdmin, async (req, res) => {
+app.delete("/api/certificate-templates/:id", authenticate, requireAdmin, async (req, res) => {
   try {
-    const ownerId = req.user.firebaseUid;
+    const deleted = await CertificateTemplate.findOneAndDelete({ _id: req.params.id, orgId: req.user.orgId });
+    if (!deleted) return res.status(404).json({ message: "Template not found" });
 
-    // return employees created by this owner/admin
-    const employees = await Employee.find({ ownerId });
+    await removeTemplateImage(deleted, "logo");
+    await removeTemplateImage(deleted, "signature");
 
-    res.json({ employees });
+    await addLog(req.user.orgId, `Deleted certificate template "${deleted.name}"`, "certificate", {
+      actor: req.user,
+      action: "certificate-template.deleted",
+      targetType: "certificate-template",
+      targetId: deleted._id,
+    });
+
+    res.json({ message: "Deleted" });
   } catch (err) {
-    console.error("GET EMPLOYEES ERROR:", err);
-    res.status(500).json({ message: "Failed to load employees" });
+    console.error("DELETE TEMPLATE ERROR:", err);
+    res.status(500).json({ message: "Failed to delete certificate template" });
   }
 });
 
-// UNIVERSAL SEARCH
-app.get("/api/search", authenticate, async (req, res) => {
-  const q = (req.query.q || "").toLowerCase();
-  const ownerId = req.user.firebaseUid;
+app.put("/api/certificate-templates/:id/images/:kind", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!["logo", "signature"].includes(kind))
+      return res.status(400).json({ message: "kind must be logo or signature" });
 
-  if (!q) return res.json({ sop: [], training: [] });
+    const image = req.body?.image || "";
+    const match = /^data:image\/(png|jpe?g);base64,/.exec(image);
+    if (!match) return res.status(400).json({ message: "image must be a PNG or JPEG data URL" });
 
-  try {
-    const sops = await SOP.find({
-      ownerId,
-      title: { $regex: q, $options: "i" }
-    }).select("title _id");
+    if (Buffer.byteLength(image.slice(match[0].length), "base64") > TEMPLATE_IMAGE_MAX_BYTES)
+      return res.status(400).json({ message: "Image must be 1 MB or smaller" });
 
-    const trainings = await TrainingVideo.find({
-      ownerId,
-      title: { $regex: q, $options: "i" }
-    }).select("title _id thumbnailUrl");
+    const template = await CertificateTemplate.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!template) return res.status(404).json({ message: "Template not found" });
 
-    res.json({
-      sop: sops,
-      training: trainings
+    const ext = match[1] === "png" ? "png" : "jpg";
+    const localPath = tempFilePath(`${kind}.${ext}`);
+    await fs.promises.writeFile(localPath, Buffer.from(image.slice(match[0].length), "base64"));
+
+    const stored = await storeFile(localPath, {
+      folder: `${req.user.orgId}/certificate-templates`,
+      filename: kind,
+      contentType: match[1] === "png" ? "image/png" : "image/jpeg",
     });
+
+    const previous = template.toObject();
+
+    template[`${kind}Url`] = stored.url;
+    template[`${kind}File`] = { key: stored.key, driver: storageDriverName() };
+    template.updatedAt = new Date();
+    await template.save();
+
+    await removeTemplateImage(previous, kind);
+
+    res.json(template);
   } catch (err) {
-    res.status(500).json({ message: "Search failed" });
+    console.error("TEMPLATE IMAGE ERROR:", err);
+    res.status(500).json({ message: "Failed to upload image" });
   }
 });
 
-/* ----------------------------------------
-   EMPLOYEE CREATION
----------------------------------------- */
-app.post("/api/employees", authenticate, requireAdmin, async (req, res) => {
+app.delete("/api/certificate-templates/:id/images/:kind", authenticate, requireAdmin, async (req, res) => {
   try {
-    const { name, email, dept } = req.body;
-
-    if (!name || !email || !dept)
-      return res.status(400).json({ message: "Missing fields" });
+    const { kind } = req.params;
+    if (!["logo", "signature"].includes(kind))
+      return res.status(400).json({ message: "kind must be logo or signature" });
 
-    if (!firebaseAdminInitialized) {
-      return res.status(500).json({ message: "Firebase Admin not initialized" });
-    }
+    const template = await CertificateTemplate.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!template) return res.status(404).json({ message: "Template not found" });
 
-    let fbUser;
+    const previous = template.toObject();
 
-    try {
-      fbUser = await admin.auth().getUserByEmail(email);
-    } catch (err) {
-      fbUser = await admin.auth().createUser({
-        email,
-        password: "Temp" + Math.floor(1000 + Math.random() * 9000),
-      });
-    }
+    template[`${kind}Url`] = null;
+    template[`${kind}File`] = undefined;
+    template.updatedAt = new Date();
+    await template.save();
 
-    const emp = await new Employee({
-      ownerId: req.user.firebaseUid,
-      firebaseUid: fbUser.uid,
-      name,
-      email,
-      dept,
-    }).save();
+    await removeTemplateImage(previous, kind);
 
-    res.json({
-      message: "Employee created",
-      tempPassword: fbUser.password, // optional
-      emp,
-    });
-  } catch (error) {
-    console.error("CREATE EMPLOYEE ERROR:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
+    res.json(template);
+  } catch (err) {
+    console.error("TEMPLATE IMAGE ERROR:", err);
+    res.status(500).json({ message: "Failed to remove image" });
   }
 });
 
+app.get("/api/certificate-templates/:id/preview", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const template = await CertificateTemplate.findOne({ _id: req.params.id, orgId: req.user.orgId });
+    if (!template) return res.status(404).json({ message: "Template not found" });
 
-/* ----------------------------------------
-   SOP CRUD
----------------------------------------- */
-app.post("/api/sops", authenticate, requireAdmin, async (req, res) => {
-  const sop = await new SOP({ ownerId: req.user.firebaseUid, ...req.body }).save();
-
-  await addLog(req.user.firebaseUid, `Created SOP: ${sop.title}`, "sop");
-  emitToOwner(req.user.firebaseUid, "sop:created", sop);
-
-  res.json(sop);
+    await sendCertificatePreview(res, template.toObject(), req.user.orgId);
+  } catch (err) {
+    console.error("TEMPLATE PREVIEW ERROR:", err);
+    if (!res.headersSent) res.status(500).json({ message: "Failed to render preview" });
+  }
 });
 
-app.delete("/api/sops/:id", authenticate, requireAdmin, async (req, res) => {
-  const deleted = await SOP.findOneAndDelete({
-    _id: req.params.id,
-    ownerId: req.user.firebaseUid,
-  });
+/* =====================================================
+   DASHBOARD STATS
+   GET /api/stats
+===================================================== */
+app.get("/api/stats", authenticate, authorize("stats:view"), async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+
+    // Employees count (managers: their departments)
+    const employees = await Employee.countDocuments(employeeScope(req));
+
+    // managers only count content and assignments of their own employees
+    const scopedEmployees = await Employee.find(employeeScope(req)).select("_id firebaseUid dept");
+    const scopedIds = req.scope.depts ? new Set(scopedEmployees.map((e) => e._id.toString())) : null;
+
+    // org-wide trainings (no assignees) count for every department
+    const trainingScope = req.scope.depts
+      ? {
+          $or: [
+            { assignedEmployees: { $size: 0 } },
+            { assignedEmployees: { $in: scopedEmployees.map((e) => e.firebaseUid) } },
+          ],
+        }
+      : {};
+    const sopScope = req.scope.depts
+      ? { $or: [{ dept: { $in: req.scope.depts } }, { assignedTo: { $in: [...scopedIds] } }] }
+      : {};
 
-  if (!deleted) return res.status(404).json({ message: "SOP not found" });
+    // Trainings
+    const activeTrainings = await TrainingVideo.countDocuments({
+      orgId,
+      status: "active",
+      ...trainingScope,
+    });
 
-  await addLog(req.user.firebaseUid, `Deleted SOP: ${deleted.title}`, "sop");
-  emitToOwner(req.user.firebaseUid, "sop:deleted", deleted);
+    const completedTrainings = await TrainingVideo.countDocuments({
+      orgId,
+      status: "completed",
+      ...trainingScope,
+    });
 
-  res.json({ message: "Deleted" });
-});
+    // SOPs (managers: their departments' or assigned to their employees)
+    const sops = await SOP.find({ orgId, ...sopScope });
 
-/* ----------------------------------------
-   STATS
----------------------------------------- */
-/* ----------------------------------------
-   ADMIN DASHBOARD STATS
----------------------------------------- */
+    const totalSops = sops.length;
 
-app.get("/api/admin/training/progress", authenticate, requireAdmin, async (req, res) => {
-  try {
-    const ownerId = req.user.firebaseUid;
+    // ---------- NEW: Pending SOP LOGIC ----------
+    const pendingSOPs = sops.filter((sop) => {
+      const assigned = (sop.assignedTo || []).filter(
+        (id) => !scopedIds || scopedIds.has(id.toString())
+      );
+      const completed = sop.completedBy || [];
 
-    const employees = await Employee.find({ ownerId });
-    const videos = await TrainingVideo.find({ ownerId });
+      // Pending means: assigned employee NOT completed
+      return assigned.some((empId) => !completed.includes(empId));
+    }).length;
+    // --------------------------------------------
 
-    const progress = await EmployeeProgress.find({
-      ownerId,
-    }).lean();
+    const sopReviewsDue = sops.filter((sop) =>
+      ["due", "needs_edit"].includes(sop.review?.status)
+    ).length;
 
-    const result = progress.map((p) => {
-      const emp = employees.find((e) => e._id.toString() === p.employeeId);
-      const vid = videos.find((v) => v._id.toString() === p.videoId);
+    // late = past its due date and still open
+    const overdue = await loadOverdueAssignments(orgId, scopedEmployees);
 
-      return {
-        _id: p._id,
-        employeeName: emp?.name || "Unknown",
-        employeeEmail: emp?.email || "",
-        videoTitle: vid?.title || "Unknown Video",
-        percent: p.percent || 0,
-        completed: p.completed || false,
-        score: p.score || null,
-        updatedAt: p.updatedAt,
-      };
+    res.json({
+      employees,
+      activeTrainings,
+      completedTrainings,
+      totalSops,
+      pendingSOPs, // 👈 added
+      sopReviewsDue,
+      overdueAssignments: overdue.length,
+      overdueByDept: countOverdueByDept(overdue, scopedEmployees),
     });
-
-
-    res.json(result);
   } catch (err) {
-    console.error("ADMIN PROGRESS LIST ERROR:", err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Stats error:", err);
+    res.status(500).json({ message: "Failed to fetch stats" });
   }
 });
 
-app.get("/api/admin/training-breakdown", authenticate, requireAdmin, async (req, res) => {
+/* =====================================================
+   OVERDUE ASSIGNMENTS
+   GET /api/admin/overdue?dept=
+   PUT /api/assignments/due   { contentType, contentId, employeeId, dueAt }
+===================================================== */
+app.get("/api/admin/overdue", authenticate, authorize("progress:view"), async (req, res) => {
   try {
-    const ownerId = req.user.firebaseUid;
-
-    const records = await EmployeeTrainingProgress.find({ ownerId, completed: true })
-      .populate("employeeId", "name email")
-      .populate("videoId", "title");
+    const orgId = req.user.orgId;
 
-    const result = records.map(r => ({
-      employeeName: r.employeeId?.name || "Unknown",
-      employeeEmail: r.employeeId?.email || "Unknown",
-      trainingTitle: r.videoId?.title || "Deleted Training",
-      trainingId: r.videoId?._id,
-      completedAt: r.completedAt,
-    }));
+    const filter = employeeScope(req);
+    if (req.query.dept) {
+      if (req.scope.depts && !req.scope.depts.includes(req.query.dept))
+        return res.status(403).json({ message: "Department outside your scope" });
+      filter.dept = req.query.dept;
+    }
 
-    res.json(result);
+    const employees = await Employee.find(filter).select("name email dept");
+    const overdue = await loadOverdueAssignments(orgId, employees);
+
+    const [sops, videos] = await Promise.all([
+      SOP.find({ _id: { $in: overdue.filter((d) => d.contentType === "sop").map((d) => d.contentId) } }).select("title"),
+      TrainingVideo.find({
+        _id: { $in: overdue.filter((d) => d.contentType === "training").map((d) => d.contentId) },
+      }).select("title"),
+    ]);
+    const titles = new Map([...sops, ...videos].map((c) => [c._id.toString(), c.title]));
+    const empById = new Map(employees.map((e) => [e._id.toString(), e]));
+
+    const items = overdue
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .map((d) => {
+        const emp = empById.get(d.employeeId.toString());
+        return {
+          contentType: d.contentType,
+          contentId: d.contentId,
+          title: titles.get(d.contentId.toString()) || "Unknown",
+          employeeId: d.employeeId,
+          employeeName: emp?.name,
+          employeeEmail: emp?.email,
+          dept: emp?.dept,
+          dueAt: d.dueAt,
+          daysOverdue: Math.floor((Date.now() - d.dueAt) / DAY_MS),
+          escalatedAt: d.escalatedAt,
+          escalationCount: d.escalationCount,
+        };
+      });
 
+    res.json({ total: items.length, byDept: countOverdueByDept(overdue, employees), items });
   } catch (err) {
-    console.error("Breakdown error:", err);
-    res.status(500).json({ message: "Failed to fetch breakdown" });
+    console.error("OVERDUE LIST ERROR:", err);
+    res.status(500).json({ message: "Failed to load overdue assignments" });
   }
 });
 
-app.post("/api/employee/training/progress", authenticate, async (req, res) => {
+// Override the deadline of one assignment (dueAt: null clears it)
+app.put("/api/assignments/due", authenticate, authorize("assignments:manage"), async (req, res) => {
   try {
-    const employeeUid = req.user.firebaseUid;
-    const { videoId, percent } = req.body;
-
-    if (!videoId) return res.status(400).json({ message: "Missing videoId" });
-
-    let progress = await EmployeeProgress.findOne({ employeeId: employeeUid, videoId });
+    const { contentType, contentId, employeeId, dueAt } = req.body || {};
 
-    if (!progress) {
-      progress = await EmployeeProgress.create({
-        employeeId: employeeUid,
-        videoId,
-        progressPercent: percent,
-      });
-    } else {
-      progress.progressPercent = percent;
-      progress.updatedAt = new Date();
-      await progress.save();
-    }
+    if (!["sop", "training"].includes(contentType))
+      return res.status(400).json({ message: "contentType must be sop or training" });
+    if (!mongoose.isValidObjectId(contentId) || !mongoose.isValidObjectId(employeeId))
+      return res.status(400).json({ message: "Invalid contentId or employeeId" });
 
-    // 🔵 If progress is below 100 — Log viewing status
-    if (percent < 100) {
-      const employee = await Employee.findOne({ firebaseUid: employeeUid });
-      const video = await TrainingVideo.findById(videoId);
+    const date = dueAt === null ? null : new Date(dueAt);
+    if (date && isNaN(date)) return res.status(400).json({ message: "Invalid dueAt" });
 
-      await addLog(employee.ownerId,
-        `${employee.name} viewed ${percent}% of "${video.title}"`,
-        "training-progress"
-      );
+    const emp = await Employee.findById(employeeId);
+    if (!inEmployeeScope(req, emp)) return res.status(404).json({ message: "Employee not found" });
 
-      emitToOwner(employee.ownerId, "training:progress", {
-        employee: employee.name,
-        video: video.title,
-        percent,
-      });
-    }
+    const due = await AssignmentDue.findOneAndUpdate(
+      { orgId: req.user.orgId, contentType, contentId, employeeId },
+      { dueAt: date, escalatedAt: null, escalationCount: 0 },
+      { new: true }
+    );
+    if (!due) return res.status(404).json({ message: "Assignment not found" });
 
-    res.json({ message: "Progress updated" });
+    await addLog(
+      req.user.orgId,
+      `Due date for ${emp.name} set to ${date ? date.toISOString().slice(0, 10) : "none"}`,
+      "assignment",
+      {
+        actor: req.user,
+        action: "assignment.due-changed",
+        targetType: contentType,
+        targetId: contentId,
+        metadata: { employeeId: emp._id, dueAt: date },
+      }
+    );
+    emitToOrg(req.user.orgId, "assignment:due-changed", { contentType, contentId, employeeId, dueAt: date });
 
+    res.json({ message: "Due date updated", due });
   } catch (err) {
-    console.error("Progress update error:", err);
-    res.status(500).json({ message: "Failed to update progress" });
+    console.error("SET DUE DATE ERROR:", err);
+    res.status(500).json({ message: "Failed to update due date" });
   }
 });
 
-app.get("/api/employee/progress/:id", authenticate, async (req, res) => {
-  const data = await EmployeeProgress.findOne({
-    employeeId: req.user.firebaseUid,
-    videoId: req.params.id,
-  });
+/* =====================================================
+   COMPLIANCE REPORT
+   GET /api/reports/compliance?format=json|csv|pdf&from=&to=&dept=&sopId=
+   One row per (employee, assigned SOP). EmployeeSOPProgress is the source
+   of truth: the current acknowledgement plus its superseded history.
+   With a date range, a row counts as acknowledged when an acknowledgement
+   falls inside the range.
+===================================================== */
+function parseReportDate(value, endOfDay) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) return undefined;
+  // bare dates (YYYY-MM-DD) include the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+async function buildComplianceReport(req, { from, to, dept, sopId }) {
+  const orgId = req.user.orgId;
+
+  const empFilter = employeeScope(req);
+  if (dept) empFilter.dept = req.scope.depts && !req.scope.depts.includes(dept) ? { $in: [] } : dept;
+
+  const employees = await Employee.find(empFilter).sort({ dept: 1, name: 1 }).lean();
+
+  const sopFilter = { orgId, assignedTo: { $in: employees.map((e) => e._id) } };
+  if (sopId) sopFilter._id = sopId;
+
+  const sops = await SOP.find(sopFilter).select("title dept currentRevision assignedTo").sort({ title: 1 }).lean();
+
+  const progress = await EmployeeSOPProgress.find({
+    sopId: { $in: sops.map((s) => s._id) },
+    employeeId: { $in: employees.map((e) => e.firebaseUid) },
+  }).lean();
+
+  const progressByKey = new Map(progress.map((p) => [`${p.employeeId}:${p.sopId}`, p]));
+  const inRange = (date) => !!date && (!from || date >= from) && (!to || date <= to);
 
-  res.json(data || { completed: false, percent: 0 });
-});
+  const rows = [];
 
-app.post("/api/employee/training/complete", authenticate, async (req, res) => {
-  try {
-    const { videoId } = req.body;
-    const employeeUid = req.user.firebaseUid;
+  for (const emp of employees) {
+    for (const sop of sops) {
+      if (!(sop.assignedTo || []).some((id) => id.toString() === emp._id.toString())) continue;
 
-    const employee = await Employee.findOne({ firebaseUid: employeeUid });
-    const video = await TrainingVideo.findById(videoId);
+      const p = progressByKey.get(`${emp.firebaseUid}:${sop._id}`);
 
-    if (!employee || !video) {
-      return res.status(404).json({ message: "Invalid employee or video" });
-    }
+      // every acknowledgement this employee made of this SOP, newest first
+      const acks = [
+        ...(p?.completed && p.completedAt
+          ? [{ revision: p.revision, completedAt: p.completedAt, certificateUrl: p.certificateUrl, current: !p.reackRequired }]
+          : []),
+        ...(p?.history || []).map((h) => ({ ...h, current: false })),
+      ]
+        .filter((a) => inRange(a.completedAt))
+        .sort((a, b) => b.completedAt - a.completedAt);
 
-    // update employee progress
-    await EmployeeProgress.findOneAndUpdate(
-      { employeeId: employeeUid, videoId },
-      { completed: true, progressPercent: 100, updatedAt: new Date() },
-      { upsert: true }
-    );
+      const latest = acks[0];
 
-    // update video completedBy
-    if (!video.completedBy.includes(employeeUid)) {
-      video.completedBy.push(employeeUid);
-      await video.save();
-    }
+      let status = "pending";
+      if (latest?.current) status = "acknowledged";
+      else if (latest) status = "reack_required";
 
-    // update employee completedTrainings
-    if (!employee.completedTrainings.includes(videoId)) {
-      employee.completedTrainings.push(videoId);
-      await employee.save();
+      rows.push({
+        dept: emp.dept || "",
+        sopId: sop._id,
+        sopTitle: sop.title,
+        sopRevision: sop.currentRevision,
+        employeeId: emp._id,
+        employeeName: emp.name,
+        employeeEmail: emp.email,
+        status,
+        acknowledgedRevision: latest?.revision ?? null,
+        completedAt: latest?.completedAt || null,
+        certificateUrl: latest?.certificateUrl || null,
+      });
     }
+  }
 
-    // 🔵 LOG
-    await addLog(employee.ownerId,
-      `${employee.name} completed "${video.title}"`,
-      "training"
-    );
+  const departments = {};
+  for (const row of rows) {
+    const d = (departments[row.dept] ||= { dept: row.dept, assigned: 0, acknowledged: 0 });
+    d.assigned++;
+    if (row.status === "acknowledged") d.acknowledged++;
+  }
 
-    // 🔵 WEBSOCKET PUSH
-    emitToOwner(employee.ownerId, "training:completed", {
-      employee: employee.name,
-      video: video.title,
-    });
+  const summary = Object.values(departments).map((d) => ({
+    ...d,
+    percent: d.assigned ? Math.round((d.acknowledged / d.assigned) * 100) : 100,
+  }));
+
+  return { generatedAt: new Date(), filters: { from, to, dept: dept || null, sopId: sopId || null }, summary, rows };
+}
 
-    res.json({ message: "Training completed" });
+const COMPLIANCE_STATUS_LABELS = {
+  acknowledged: "Acknowledged",
+  reack_required: "Re-ack required",
+  pending: "Pending",
+};
 
-  } catch (err) {
-    console.error("Training complete error:", err);
-    res.status(500).json({ message: "Failed to complete training" });
+function writeCompliancePdf(res, report, orgName) {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 40 });
+  doc.pipe(res);
+
+  const fmt = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "-");
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  doc.fontSize(20).text("SOP Compliance Report", { align: "left" });
+  doc.fontSize(10).fillColor("#555");
+  doc.text(`${orgName || ""}   Generated ${report.generatedAt.toISOString().replace("T", " ").slice(0, 16)} UTC`);
+
+  const { from, to, dept } = report.filters;
+  doc.text(
+    `Period: ${from ? fmt(from) : "start"} – ${to ? fmt(to) : "today"}   Department: ${dept || "All"}`
+  );
+  doc.fillColor("black").moveDown();
+
+  // department summary
+  doc.fontSize(13).text("Summary by department");
+  doc.moveDown(0.3).fontSize(10);
+  for (const d of report.summary) {
+    doc.text(`${d.dept || "(none)"}: ${d.acknowledged}/${d.assigned} acknowledged (${d.percent}%)`);
   }
-});
 
-/* =====================================================
-   DASHBOARD STATS
-   GET /api/stats
-===================================================== */
-app.get("/api/stats", authenticate, async (req, res) => {
-  try {
-    const ownerId = req.user.firebaseUid;
+  // detail table: x offsets for each column
+  const cols = [
+    { label: "Employee", x: 40, width: 150 },
+    { label: "Email", x: 195, width: 180 },
+    { label: "Status", x: 380, width: 95 },
+    { label: "Rev.", x: 480, width: 40 },
+    { label: "Completed", x: 525, width: 75 },
+    { label: "Certificate", x: 605, width: 195 },
+  ];
+
+  const tableHeader = () => {
+    doc.fontSize(9).fillColor("#555");
+    const y = doc.y;
+    cols.forEach((c) => doc.text(c.label, c.x, y, { width: c.width }));
+    doc.fillColor("black").moveDown(0.5);
+  };
 
-    // Employees count
-    const employees = await Employee.countDocuments({ ownerId });
+  // rows come employee by employee; the table is grouped per department and SOP
+  const byText = (a, b) => String(a || "").localeCompare(String(b || ""));
+  const rows = [...report.rows].sort(
+    (a, b) =>
+      byText(a.dept, b.dept) ||
+      byText(a.sopTitle, b.sopTitle) ||
+      byText(a.sopId, b.sopId) ||
+      byText(a.employeeName, b.employeeName)
+  );
 
-    // Trainings
-    const activeTrainings = await TrainingVideo.countDocuments({
-      ownerId,
-      status: "active",
-    });
+  let group = null;
 
-    const completedTrainings = await TrainingVideo.countDocuments({
-      ownerId,
-      status: "completed",
-    });
+  for (const row of rows) {
+    const key = `${row.dept}:${row.sopId}`;
 
-    // All SOPs
-    const sops = await SOP.find({ ownerId });
+    if (key !== group || doc.y > bottom() - 30) {
+      if (doc.y > bottom() - 60) doc.addPage();
+      if (key !== group) {
+        doc.moveDown().fontSize(12).text(`${row.dept || "(none)"} — ${row.sopTitle} (rev. ${row.sopRevision ?? "-"})`, 40);
+        doc.moveDown(0.3);
+      }
+      group = key;
+      tableHeader();
+    }
 
-    const totalSops = sops.length;
+    const y = doc.y;
+    doc.fontSize(9);
+    doc.text(row.employeeName || "", cols[0].x, y, { width: cols[0].width, lineBreak: false, ellipsis: true });
+    doc.text(row.employeeEmail || "", cols[1].x, y, { width: cols[1].width, lineBreak: false, ellipsis: true });
+    doc.text(COMPLIANCE_STATUS_LABELS[row.status], cols[2].x, y, { width: cols[2].width });
+    doc.text(row.acknowledgedRevision ?? "-", cols[3].x, y, { width: cols[3].width });
+    doc.text(fmt(row.completedAt), cols[4].x, y, { width: cols[4].width });
+    if (row.certificateUrl) {
+      doc.fillColor("#1a56db").text("View certificate", cols[5].x, y, {
+        width: cols[5].width,
+        link: row.certificateUrl,
+        underline: true,
+      });
+      doc.fillColor("black");
+    } else {
+      doc.text("-", cols[5].x, y, { width: cols[5].width });
+    }
+    doc.x = 40;
+    doc.y = y + 14;
+  }
 
-    // ---------- NEW: Pending SOP LOGIC ----------
-    const pendingSOPs = sops.filter((sop) => {
-      const assigned = sop.assignedTo || [];
-      const completed = sop.completedBy || [];
+  if (!report.rows.length) doc.moveDown().fontSize(11).text("No SOP assignments match these filters.", 40);
 
-      // Pending means: assigned employee NOT completed
-      return assigned.some((empId) => !completed.includes(empId));
-    }).length;
-    // --------------------------------------------
+  doc.end();
+}
 
-    res.json({
-      employees,
-      activeTrainings,
-      completedTrainings,
-      totalSops,
-      pendingSOPs, // 👈 added
+app.get("/api/reports/compliance", authenticate, authorize("reports:view"), async (req, res) => {
+  try {
+    const format = (req.query.format || "json").toLowerCase();
+    if (!["json", "csv", "pdf"].includes(format))
+      return res.status(400).json({ message: "format must be json, csv or pdf" });
+
+    const from = parseReportDate(req.query.from, false);
+    const to = parseReportDate(req.query.to, true);
+    if (from === undefined || to === undefined)
+      return res.status(400).json({ message: "Invalid date range" });
+
+    if (req.query.sopId && !mongoose.isValidObjectId(req.query.sopId))
+      return res.status(400).json({ message: "Invalid sopId" });
+
+    const report = await buildComplianceReport(req, {
+      from,
+      to,
+      dept: req.query.dept,
+      sopId: req.query.sopId,
     });
+
+    const stamp = report.generatedAt.toISOString().slice(0, 10);
+
+    if (format === "csv") {
+      const csv = toCsv(
+        [
+          "dept",
+          "sop",
+          "sopRevision",
+          "employee",
+          "email",
+          "status",
+          "acknowledgedRevision",
+          "completedAt",
+          "certificateUrl",
+        ],
+        report.rows.map((r) => [
+          r.dept,
+          r.sopTitle,
+          r.sopRevision,
+          r.employeeName,
+          r.employeeEmail,
+          r.status,
+          r.acknowledgedRevision,
+          r.completedAt,
+          r.certificateUrl,
+        ])
+      );
+      return sendCsv(res, `compliance-${stamp}.csv`, csv);
+    }
+
+    if (format === "pdf") {
+      const org = await Organization.findById(req.user.orgId).select("name");
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="compliance-${stamp}.pdf"`);
+      return writeCompliancePdf(res, report, org?.name);
+    }
+
+    res.json(report);
   } catch (err) {
-    console.error("Stats error:", err);
-    res.status(500).json({ message: "Failed to fetch stats" });
+    console.error("COMPLIANCE REPORT ERROR:", err);
+    if (!res.headersSent) res.status(500).json({ message: "Failed to build compliance report" });
   }
 });
 
@@ -1508,9 +7785,9 @@ app.get("/api/employees/me", authenticate, async (req, res) => {
 /* ----------------------------------------
    GET ALL EMPLOYEES (OWNER ONLY)
 ---------------------------------------- */
-app.get("/api/employees", authenticate, requireAdmin, async (req, res) => {
+app.get("/api/employees", authenticate, authorize("employees:view"), async (req, res) => {
   try {
-    const employees = await Employee.find({ ownerId: req.user.firebaseUid });
+    const employees = await Employee.find(employeeScope(req));
     res.json(employees);
   } catch (err) {
     res.status(500).json({ message: "Failed to fetch employees" });
@@ -1531,9 +7808,92 @@ app.get("/api/sops/:id/progress", authenticate, async (req, res) => {
   res.json(progress || { completed: false });
 });
 
+/* =====================================================
+   SOP REVIEW QUEUE
+   GET  /api/admin/sops/review-queue
+   POST /api/admin/sops/:id/review  { decision: "approved" | "needs_edit", note }
+===================================================== */
+app.get("/api/admin/sops/review-queue", authenticate, authorize("content:review"), async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+    const settings = await getOrCreateSettings(orgId);
+    const cycleDays = settings.workflows?.sopReviewCycleDays || 0;
+
+    const sops = await SOP.find({
+      ...sopReviewScope(req),
+      "review.status": { $in: ["due", "needs_edit"] },
+    })
+      .select("-content")
+      .sort({ "review.dueSince": 1 });
+
+    const now = Date.now();
+    const queue = sops.map((sop) => {
+      const dueDate = sopReviewDueDate(sop, cycleDays);
+      return {
+        _id: sop._id,
+        title: sop.title,
+        dept: sop.dept,
+        updated: sop.updated,
+        review: sop.review,
+        dueDate,
+        daysOverdue: Math.max(Math.floor((now - dueDate.getTime()) / DAY_MS), 0),
+      };
+    });
+
+    res.json({ cycleDays, queue });
+  } catch (err) {
+    console.error("REVIEW QUEUE ERROR:", err);
+    res.status(500).json({ message: "Failed to load review queue" });
+  }
+});
+
+app.post("/api/admin/sops/:id/review", authenticate, authorize("content:review"), async (req, res) => {
+  try {
+    const orgId = req.user.orgId;
+    const { decision, note } = req.body;
+
+    if (!["approved", "needs_edit"].includes(decision))
+      return res.status(400).json({ message: "decision must be approved or needs_edit" });
+
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "SOP not found" });
+
+    const sop = await SOP.findOne({ _id: req.params.id, ...sopReviewScope(req) });
+    if (!sop) return res.status(404).json({ message: "SOP not found" });
+
+    sop.review.status = decision === "approved" ? "current" : "needs_edit";
+    sop.review.lastDecision = decision;
+    sop.review.lastReviewedAt = new Date();
+    sop.review.lastReviewedBy = req.user.firebaseUid;
+    sop.review.note = note || "";
+    if (decision === "approved") sop.review.dueSince = null;
+
+    await sop.save();
+
+    await addLog(
+      orgId,
+      decision === "approved"
+        ? `SOP "${sop.title}" reviewed and approved unchanged`
+        : `SOP "${sop.title}" reviewed - needs edit`,
+      "sop-review",
+      { actor: req.user, action: "sop.reviewed", targetType: "sop", targetId: sop._id, metadata: { decision } }
+    );
+    emitToOrg(orgId, "sop:reviewed", { sopId: sop._id, decision });
+
+    res.json({ message: "Review recorded", review: sop.review });
+  } catch (err) {
+    console.error("SOP REVIEW ERROR:", err);
+    res.status(500).json({ message: "Failed to record review" });
+  }
+});
+
 // GET /api/admin/sops/completed-count
-app.get("/api/admin/sops/completed-count", authenticate, async (req, res) => {
-  const total = await EmployeeSOPProgress.countDocuments({ completed: true });
+app.get("/api/admin/sops/completed-count", authenticate, authorize("stats:view"), async (req, res) => {
+  const employees = await Employee.find(employeeScope(req)).select("firebaseUid");
+
+  const total = await EmployeeSOPProgress.countDocuments({
+    completed: true,
+    employeeId: { $in: employees.map((e) => e.firebaseUid) },
+  });
   res.json({ total });
 });
 
@@ -1541,17 +7901,21 @@ app.get("/api/admin/sops/completed-count", authenticate, async (req, res) => {
    EMPLOYEE — MARK SOP COMPLETE
    POST /api/employee/sops/:id/complete
 ===================================================== */
-app.post("/api/employee/sops/:id/complete", authenticate, async (req, res) => {
+app.post("/api/employee/sops/:id/complete", authenticate, authorize("self:learn"), async (req, res) => {
   try {
-    if (!req.user.isEmployee)
-      return res.status(403).json({ message: "Employees only" });
-
     const empUid = req.user.firebaseUid;
     const { id } = req.params;
 
-    // Check SOP exists & employee allowed
-    const sop = await SOP.findById(id);
-    if (!sop) return res.status(404).json({ message: "SOP not found" });
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ message: "SOP not found" });
+
+    const emp = await Employee.findOne({ firebaseUid: empUid });
+    if (!emp) return res.status(404).json({ message: "Employee not found" });
+
+    // Check SOP exists & employee allowed: only their own org's SOPs assigned to them
+    const sop = await SOP.findOne({ _id: id, orgId: emp.orgId });
+    if (!sop || !isContentAssigned("sop", sop, emp)) return res.status(404).json({ message: "SOP not found" });
+
+    if (await rejectIfPathLocked(res, emp, "sop", sop._id)) return;
 
     // Find or create progress document
     let progress = await EmployeeSOPProgress.findOne({
@@ -1575,17 +7939,42 @@ app.post("/api/employee/sops/:id/complete", authenticate, async (req, res) => {
       });
     }
 
-    // Generate certificate PDF
-    const certificateUrl = await generateCertificate({
-      employeeName: req.user.name,
-      sopTitle: sop.title,
+    await ensureSopBaseline(sop);
+
+    // SOPs with steps need every required step answered
+    const checklist = await prepareSopChecklist(emp, sop, req.body?.responses);
+    if (checklist.error) return res.status(400).json(checklist.error);
+
+    // Issue a signed certificate (PDF with verification QR)
+    const certificate = await issueCertificate({
+      emp,
+      contentType: "sop",
+      item: sop,
+      revision: sop.currentRevision,
     });
 
     progress.completed = true;
     progress.completedAt = new Date();
-    progress.certificateUrl = certificateUrl;
+    progress.certificateUrl = certificate.url;
+    progress.certificateId = certificate.certificateId;
+    progress.checklistId = checklist.submission?._id || null;
+    progress.revision = sop.currentRevision;
+    progress.reackRequired = false;
     await progress.save();
 
+    await submitSopChecklist(checklist.submission, sop);
+
+    await SOP.updateOne(
+      { _id: sop._id, "completedBy.empId": { $ne: emp._id } },
+      { $push: { completedBy: { empId: emp._id, completedAt: progress.completedAt } } }
+    );
+
+    notifyAdmins(emp.orgId, "sopUpdates", {
+      event: "sop:completed",
+      title: `${emp.name} completed SOP "${sop.title}"`,
+      data: { sopId: sop._id, employeeId: emp._id },
+    });
+
     // Return updated stats for progress bar
     const stats = await getEmployeeSopStats(empUid);
 
@@ -1600,97 +7989,313 @@ app.post("/api/employee/sops/:id/complete", authenticate, async (req, res) => {
    EMPLOYEE — GET ASSIGNED SOPs
    /api/employee/sops
 ===================================================== */
-app.get("/api/employee/sops", authenticate, async (req, res) => {
+app.get("/api/employee/sops", authenticate, authorize("self:learn"), async (req, res) => {
   try {
-    // must be employee only
-    if (!req.user.isEmployee) {
-      return res.status(403).json({ message: "Employees only" });
-    }
-
     // find this employee
     const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
     if (!emp) return res.status(404).json({ message: "Employee not found" });
 
     // get SOPs where this employee is assigned
     const sops = await SOP.find({
-      ownerId: emp.ownerId,
+      orgId: emp.orgId,
       assignedTo: emp._id,       // 👈 the IMPORTANT FILTER
-    }).sort({ updated: -1 });
+    }).sort({ updated: -1 }).lean();
 
-    res.json(sops);
+    const dues = await loadEmployeeDueMap(emp, "sop");
+
+    res.json(
+      sops.map((sop) => {
+        const due = dues.get(sop._id.toString());
+        return { ...sop, dueAt: due?.dueAt || null, overdue: !!due?.overdue };
+      })
+    );
   } catch (err) {
     console.error("EMPLOYEE SOP LOAD ERROR:", err);
     res.status(500).json({ message: "Failed to load employee SOPs" });
   }
 });
 
+/* ----------------------------------------
+   DELETE EMPLOYEE
+---------------------------------------- */
+app.delete("/api/employees/:id", authenticate, authorize("employees:manage"), async (req, res) => {
+  try {
+    const deleted = await Employee.findOneAndDelete({
+      _id: req.params.id,
+      orgId: req.user.orgId,
+    });
+
+    if (!deleted)
+      return res.status(404).json({ message: "Employee not found" });
+
+    await AssignmentDue.deleteMany({ employeeId: deleted._id });
+
+    await addLog(
+      req.user.orgId,
+      `Employee deleted: ${deleted.name}`,
+      "employee",
+      { actor: req.user, action: "employee.deleted", targetType: "employee", targetId: deleted._id }
+    );
+
+    emitToOrg(req.user.orgId, "employee:deleted", deleted);
+
+    res.json({ message: "Employee deleted" });
+  } catch (err) {
+    console.error("Employee delete error:", err);
+    res.status(500).json({ message: "Failed to delete employee" });
+  }
+});
+
 /* =====================================================
-   EMPLOYEE — MARK SOP COMPLETED
-   /api/employee/sops/:id/complete
+   UPDATE EMPLOYEE
+   PUT /api/employees/:id  { name, email, dept, role, status }
 ===================================================== */
-app.post("/api/employee/sops/:id/complete", authenticate, async (req, res) => {
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+app.put("/api/employees/:id", authenticate, authorize("employees:manage"), async (req, res) => {
   try {
-    if (!req.user.isEmployee)
-      return res.status(403).json({ message: "Employees only" });
+    const orgId = req.user.orgId;
+    const { name, email, dept, role, status } = req.body;
 
-    const sopId = req.params.id;
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Employee not found" });
 
-    const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
+    const emp = await Employee.findOne({ _id: req.params.id, orgId });
     if (!emp) return res.status(404).json({ message: "Employee not found" });
 
-    const sop = await SOP.findById(sopId);
-    if (!sop) return res.status(404).json({ message: "SOP not found" });
+    // ---------- Validate ----------
+    if (name !== undefined && !String(name).trim())
+      return res.status(400).json({ message: "Name cannot be empty" });
+    if (dept !== undefined && !String(dept).trim())
+      return res.status(400).json({ message: "Department cannot be empty" });
+    if (role !== undefined && !Employee.schema.path("role").enumValues.includes(role))
+      return res.status(400).json({ message: "Invalid role" });
+    if (status !== undefined && !Employee.schema.path("status").enumValues.includes(status))
+      return res.status(400).json({ message: "Invalid status" });
 
-    // Prevent multiple completion entries
-    const alreadyDone = sop.completedBy.some(
-      (x) => x.empId.toString() === emp._id.toString()
-    );
+    const newEmail = email !== undefined ? String(email).trim().toLowerCase() : undefined;
+    const emailChanged = newEmail !== undefined && newEmail !== (emp.email || "").toLowerCase();
+
+    if (emailChanged) {
+      if (!EMAIL_RE.test(newEmail))
+        return res.status(400).json({ message: "Invalid email" });
 
-    if (alreadyDone) {
-      return res.json({ message: "Already completed" });
+      const taken = await Employee.exists({ orgId, email: newEmail, _id: { $ne: emp._id } });
+      if (taken) return res.status(409).json({ message: "Another employee already uses this email" });
+
+      if (!firebaseAdminInitialized)
+        return res.status(500).json({ message: "Firebase Admin not initialized" });
     }
 
-    sop.completedBy.push({
-      empId: emp._id,
-      completedAt: new Date(),
+    // ---------- Apply + collect old → new ----------
+    const changes = {};
+    const track = (field, value) => {
+      if (value === undefined || value === emp[field]) return;
+      changes[field] = { from: emp[field], to: value };
+    };
+
+    track("name", name !== undefined ? String(name).trim() : undefined);
+    track("email", emailChanged ? newEmail : undefined);
+    track("dept", dept !== undefined ? String(dept).trim() : undefined);
+    track("role", role);
+    track("status", status);
+
+    if (!Object.keys(changes).length) return res.json({ message: "No changes", emp });
+
+    const snapshot = emp.toObject();
+    Object.entries(changes).forEach(([field, { to }]) => {
+      if (field !== "status") emp[field] = to;
     });
+    if (changes.status) applyEmployeeStatus(emp, status);
 
-    await sop.save();
+    const modified = emp.directModifiedPaths();
+    await emp.save();
+
+    // Mongo first, then the login email; if Firebase refuses it, nothing changes
+    if (changes.email) {
+      try {
+        await admin.auth().updateUser(emp.firebaseUid, { email: newEmail });
+      } catch (err) {
+        console.error("Firebase email update error:", err);
+        await Employee.updateOne(
+          { _id: emp._id },
+          Object.fromEntries(modified.map((field) => [field, snapshot[field] ?? null]))
+        );
+        return res.status(400).json({ message: "Could not update login email", error: err.message });
+      }
+    }
 
-    res.json({ message: "SOP marked as completed" });
+    if (changes.status) await syncFirebaseDisabled(emp);
+
+    // an open invite still points at the old address: send a fresh one
+    if (changes.email && emp.inviteStatus === "pending") await createEmployeeInvite(emp, req.user);
+
+    const summary = Object.entries(changes)
+      .map(([field, { from, to }]) => `${field}: ${from ?? "-"} → ${to}`)
+      .join(", ");
+
+    await addLog(orgId, `Updated employee ${emp.name} (${summary})`, "employee", {
+      actor: req.user,
+      action: "employee.updated",
+      targetType: "employee",
+      targetId: emp._id,
+      metadata: { changes },
+    });
+    emitToOrg(orgId, "employee:updated", { employee: emp, changes });
+
+    // dept change → re-evaluate assignment rules
+    const assignments = changes.dept ? await autoAssignEmployee(emp, "deptChange") : [];
+
+    res.json({ message: "Employee updated", emp, changes, assignments });
   } catch (err) {
-    console.error("SOP COMPLETE ERROR:", err);
-    res.status(500).json({ message: "Server error completing SOP" });
+    console.error("UPDATE EMPLOYEE ERROR:", err);
+    res.status(500).json({ message: "Failed to update employee" });
   }
 });
 
-/* ----------------------------------------
-   DELETE EMPLOYEE
----------------------------------------- */
-app.delete("/api/employees/:id", authenticate, requireAdmin, async (req, res) => {
+/* =====================================================
+   INACTIVE EMPLOYEES (admin)
+   GET  /api/admin/employees/inactive
+   POST /api/admin/employees/reactivate  { employeeIds: [] }
+   POST /api/admin/employees/deactivate  { employeeIds: [] }
+===================================================== */
+app.get("/api/admin/employees/inactive", authenticate, authorize("employees:view"), async (req, res) => {
   try {
-    const deleted = await Employee.findOneAndDelete({
-      _id: req.params.id,
-      ownerId: req.user.firebaseUid,
+    const orgId = req.user.orgId;
+    const settings = await getOrCreateSettings(orgId);
+
+    const employees = await Employee.find({
+      ...employeeScope(req),
+      status: { $in: ["inactive", "deactivated"] },
+    }).sort({ inactiveSince: 1 });
+
+    const result = await Promise.all(
+      employees.map(async (emp) => ({
+        _id: emp._id,
+        name: emp.name,
+        email: emp.email,
+        dept: emp.dept,
+        status: emp.status,
+        lastLoginAt: emp.lastLoginAt,
+        lastActivityAt: await getEmployeeLastActivity(emp),
+        inactiveSince: emp.inactiveSince,
+        deactivatedAt: emp.deactivatedAt,
+      }))
+    );
+
+    res.json({ thresholdDays: settings.workflows?.inactivityDaysToFlag, employees: result });
+  } catch (err) {
+    console.error("INACTIVE EMPLOYEES ERROR:", err);
+    res.status(500).json({ message: "Failed to load inactive employees" });
+  }
+});
+
+/* =====================================================
+   PRESENCE
+   GET /api/admin/presence?online=true
+   Online state is per server instance (live socket connections).
+===================================================== */
+app.get("/api/admin/presence", authenticate, authorize("employees:view"), async (req, res) => {
+  try {
+    const employees = await Employee.find({ ...employeeScope(req), status: { $ne: "deactivated" } })
+      .select("name email dept firebaseUid lastSeenAt")
+      .sort({ name: 1 });
+
+    const rows = employees
+      .map((emp) => {
+        const entry = presence.get(emp.firebaseUid);
+        return {
+          _id: emp._id,
+          name: emp.name,
+          email: emp.email,
+          dept: emp.dept,
+          online: !!entry,
+          connectedAt: entry?.connectedAt || null,
+          lastSeenAt: entry?.lastSeenAt || emp.lastSeenAt,
+          viewing: entry ? presenceViewing(entry) : null,
+        };
+      })
+      .filter((row) => req.query.online !== "true" || row.online);
+
+    // titles of what is open right now
+    const viewed = (type) => rows.filter((r) => r.viewing?.contentType === type).map((r) => r.viewing.contentId);
+    const [sops, trainings] = await Promise.all([
+      SOP.find({ _id: { $in: viewed("sop") }, orgId: req.scope.orgId }).select("title"),
+      TrainingVideo.find({ _id: { $in: viewed("training") }, orgId: req.scope.orgId }).select("title"),
+    ]);
+    const titles = new Map([...sops, ...trainings].map((doc) => [doc._id.toString(), doc.title]));
+
+    rows.forEach((row) => {
+      if (row.viewing) row.viewing.title = titles.get(row.viewing.contentId) || null;
     });
 
-    if (!deleted)
-      return res.status(404).json({ message: "Employee not found" });
+    res.json({ online: rows.filter((r) => r.online).length, employees: rows });
+  } catch (err) {
+    console.error("PRESENCE ERROR:", err);
+    res.status(500).json({ message: "Failed to load presence" });
+  }
+});
 
-    await addLog(
-      req.user.firebaseUid,
-      `Employee deleted: ${deleted.name}`,
-      "employee"
-    );
+function applyEmployeeStatus(emp, status) {
+  emp.status = status;
+  emp.inactiveSince = status === "inactive" ? emp.inactiveSince || new Date() : null;
+  emp.deactivatedAt = status === "deactivated" ? new Date() : null;
+  if (status === "active") emp.lastActivityAt = new Date();
+}
 
-    emitToOwner(req.user.firebaseUid, "employee:deleted", deleted);
+// Deactivated employees are also blocked at the Firebase account level
+async function syncFirebaseDisabled(emp) {
+  if (!firebaseAdminInitialized || !emp.firebaseUid) return;
 
-    res.json({ message: "Employee deleted" });
+  try {
+    await admin.auth().updateUser(emp.firebaseUid, { disabled: emp.status === "deactivated" });
   } catch (err) {
-    console.error("Employee delete error:", err);
-    res.status(500).json({ message: "Failed to delete employee" });
+    console.warn(`Firebase update failed for ${emp.email}:`, err.message);
   }
-});
+}
+
+// Shared by the bulk reactivate / deactivate endpoints
+async function setEmployeesStatus(req, res, status) {
+  try {
+    const orgId = req.user.orgId;
+    const { employeeIds } = req.body;
+
+    if (!Array.isArray(employeeIds) || employeeIds.length === 0)
+      return res.status(400).json({ message: "employeeIds is required" });
+    if (!employeeIds.every((id) => mongoose.isValidObjectId(id)))
+      return res.status(400).json({ message: "employeeIds must be employee ids" });
+
+    const employees = await Employee.find({ orgId, _id: { $in: employeeIds } });
+
+    for (const emp of employees) {
+      applyEmployeeStatus(emp, status);
+      await emp.save();
+      await syncFirebaseDisabled(emp);
+    }
+
+    const verb = status === "active" ? "Reactivated" : "Deactivated";
+    await addLog(orgId, `${verb} ${employees.length} employee(s): ${employees.map((e) => e.name).join(", ")}`, "employee", {
+      actor: req.user,
+      action: status === "active" ? "employee.reactivated" : "employee.deactivated",
+      metadata: { employeeIds: employees.map((e) => String(e._id)) },
+    });
+    emitToOrg(orgId, status === "active" ? "employee:reactivated" : "employee:deactivated", {
+      employeeIds: employees.map((e) => e._id),
+    });
+
+    res.json({ message: `${verb} ${employees.length} employee(s)`, employees });
+  } catch (err) {
+    console.error("EMPLOYEE STATUS ERROR:", err);
+    res.status(500).json({ message: "Failed to update employees" });
+  }
+}
+
+app.post("/api/admin/employees/reactivate", authenticate, authorize("employees:manage"), (req, res) =>
+  setEmployeesStatus(req, res, "active")
+);
+
+app.post("/api/admin/employees/deactivate", authenticate, authorize("employees:manage"), (req, res) =>
+  setEmployeesStatus(req, res, "deactivated")
+);
 
 /* =====================================================
    EMPLOYEE – MARK SOP COMPLETED
@@ -1701,15 +8306,19 @@ app.post("/api/sops/:id/complete", authenticate, async (req, res) => {
     const employeeUid = req.user.firebaseUid;
     const sopId = req.params.id;
 
+    if (!mongoose.isValidObjectId(sopId)) return res.status(404).json({ message: "SOP not found" });
+
     const emp = await Employee.findOne({ firebaseUid: employeeUid });
     if (!emp) return res.status(404).json({ message: "Employee not found" });
 
     const sop = await SOP.findById(sopId);
     if (!sop) return res.status(404).json({ message: "SOP not found" });
 
-    if (sop.ownerId !== emp.ownerId)
+    if (sop.orgId !== emp.orgId || !isContentAssigned("sop", sop, emp))
       return res.status(403).json({ message: "Not allowed" });
 
+    if (await rejectIfPathLocked(res, emp, "sop", sop._id)) return;
+
     // --------- Check if already completed ----------
     let progress = await EmployeeSOPProgress.findOne({
       employeeId: employeeUid,
@@ -1727,19 +8336,34 @@ app.post("/api/sops/:id/complete", authenticate, async (req, res) => {
       });
     }
 
+    await ensureSopBaseline(sop);
+
+    // SOPs with steps need every required step answered
+    const checklist = await prepareSopChecklist(emp, sop, req.body?.responses);
+    if (checklist.error) return res.status(400).json(checklist.error);
+
     // --------- Mark Completed ----------
     progress.completed = true;
+    progress.checklistId = checklist.submission?._id || null;
     progress.completedAt = new Date();
+    progress.revision = sop.currentRevision;
+    progress.reackRequired = false;
 
-    // Generate certificate PDF and upload it
-    const certificateUrl = await generateCertificate({
-      employeeName: emp.name,
-      sopTitle: sop.title,
+    // Issue a signed certificate (PDF with verification QR)
+    const certificate = await issueCertificate({
+      emp,
+      contentType: "sop",
+      item: sop,
+      revision: sop.currentRevision,
     });
+    const certificateUrl = certificate.url;
 
     progress.certificateUrl = certificateUrl;
+    progress.certificateId = certificate.certificateId;
     await progress.save();
 
+    await submitSopChecklist(checklist.submission, sop);
+
     // --------- Update Employee Stats ----------
     emp.completedBy.push({
       empId: emp._id,
@@ -1752,17 +8376,29 @@ app.post("/api/sops/:id/complete", authenticate, async (req, res) => {
 
     // --------- LOG + SOCKET ----------
     await addLog(
-      emp.ownerId,
+      emp.orgId,
       `${emp.name} completed SOP "${sop.title}"`,
-      "sop"
+      "sop",
+      {
+        actor: emp,
+        action: "sop.completed",
+        targetType: "sop",
+        targetId: sop._id,
+        metadata: { employeeId: emp._id, revision: sop.currentRevision },
+      }
     );
 
-    emitToOwner(emp.ownerId, "sop:completed", {
+    emitToOrg(emp.orgId, "sop:completed", {
       employee: emp.name,
       sopId,
       sopTitle: sop.title,
       certificateUrl
     });
+    notifyAdmins(emp.orgId, "sopUpdates", {
+      event: "sop:completed",
+      title: `${emp.name} completed SOP "${sop.title}"`,
+      data: { sopId: sop._id, employeeId: emp._id },
+    });
 
     res.json({
       message: "SOP marked as completed",
@@ -1776,11 +8412,8 @@ app.post("/api/sops/:id/complete", authenticate, async (req, res) => {
   }
 });
 
-app.get("/api/employee/sops/:id", authenticate, async (req, res) => {
+app.get("/api/employee/sops/:id", authenticate, authorize("self:learn"), async (req, res) => {
   try {
-    if (!req.user.isEmployee)
-      return res.status(403).json({ message: "Employees only" });
-
     const sopId = req.params.id;
 
     const emp = await Employee.findOne({ firebaseUid: req.user.firebaseUid });
@@ -1793,11 +8426,27 @@ app.get("/api/employee/sops/:id", authenticate, async (req, res) => {
 
     if (!sop) return res.status(404).json({ message: "SOP not found" });
 
+    const progress = await EmployeeSOPProgress.findOne({
+      employeeId: emp.firebaseUid,
+      sopId: sop._id,
+    }).lean();
+
     sop.completed =
+      !!progress?.completed ||
       sop.completedBy?.some(
         (x) => x.empId.toString() === emp._id.toString()
       ) || false;
 
+    // earlier acknowledgements stay visible when the SOP must be re-read
+    sop.reackRequired = !!progress?.reackRequired;
+    sop.completionHistory = progress?.history || [];
+
+    // answers saved so far (e.g. uploaded photo evidence) for step-based SOPs
+    const draft = sop.steps?.length
+      ? await SOPChecklistSubmission.findOne({ sopId: sop._id, employeeUid: emp.firebaseUid, status: "draft" })
+      : null;
+    sop.checklistDraft = draft?.responses || [];
+
     res.json(sop);
   } catch (err) {
     console.error("LOAD EMP SOP ERROR:", err);
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../lib/csv.js";
+
+test("parseCsv splits rows and fields", () => {
+  assert.deepEqual(parseCsv("name,email\nAda,ada@example.com\n"), [
+    ["name", "email"],
+    ["Ada", "ada@example.com"],
+  ]);
+});
+
+test("parseCsv handles quoted fields, escaped quotes and embedded newlines", () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi""","two\nlines"'), [
+    ["a", "b, c", 'say "hi"', "two\nlines"],
+  ]);
+});
+
+test("parseCsv accepts CRLF, a leading BOM and a missing final newline", () => {
+  assert.deepEqual(parseCsv("\uFEFFx,y\r\n1,2\r\n3,4"), [
+    ["x", "y"],
+    ["1", "2"],
+    ["3", "4"],
+  ]);
+});
+
+test("parseCsv keeps empty fields but drops blank lines", () => {
+  assert.deepEqual(parseCsv("a,,c\n\n , \n,b,\n"), [
+    ["a", "", "c"],
+    ["", "b", ""],
+  ]);
+  assert.deepEqual(parseCsv(""), []);
+  assert.deepEqual(parseCsv(undefined), []);
+});
+
+test("toCsv quotes cells that need it and ends every row with CRLF", () => {
+  assert.equal(
+    toCsv(["name", "note"], [["Ada", 'says "hi", twice'], ["Bob", "line1\nline2"]]),
+    'name,note\r\nAda,"says ""hi"", twice"\r\nBob,"line1\nline2"\r\n'
+  );
+});
+
+test("toCsv writes empty cells for null and undefined and ISO strings for dates", () => {
+  assert.equal(
+    toCsv(["a", "b", "c", "d"], [[null, undefined, 0, new Date("2024-01-02T03:04:05Z")]]),
+    "a,b,c,d\r\n,,0,2024-01-02T03:04:05.000Z\r\n"
+  );
+});
+
+test("toCsv neutralises spreadsheet formulas", () => {
+  assert.equal(toCsv(["x"], [["=SUM(A1)"], ["+1"], ["-2"], ["@cmd"]]), "x\r\n'=SUM(A1)\r\n'+1\r\n'-2\r\n'@cmd\r\n");
+});
+
+test("toCsv output parses back to the same cells", () => {
+  const rows = [["Ada, Countess", 'the "first"'], ["plain", "multi\r\nline"]];
+  assert.deepEqual(parseCsv(toCsv(["a", "b"], rows)), [["a", "b"], ...rows]);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_DIFF_CELLS, diffTokens, diffSopRevisions } from "../lib/diff.js";
+
+test("diffTokens returns a single equal hunk for identical input", () => {
+  assert.deepEqual(diffTokens(["a", "b"], ["a", "b"]), [{ type: "equal", tokens: ["a", "b"] }]);
+});
+
+test("diffTokens finds insertions and removals around a common subsequence", () => {
+  assert.deepEqual(diffTokens(["a", "b", "c", "d"], ["a", "c", "x", "d"]), [
+    { type: "equal", tokens: ["a"] },
+    { type: "removed", tokens: ["b"] },
+    { type: "equal", tokens: ["c"] },
+    { type: "added", tokens: ["x"] },
+    { type: "equal", tokens: ["d"] },
+  ]);
+});
+
+test("diffTokens handles empty sides", () => {
+  assert.deepEqual(diffTokens([], ["a"]), [{ type: "added", tokens: ["a"] }]);
+  assert.deepEqual(diffTokens(["a"], []), [{ type: "removed", tokens: ["a"] }]);
+  assert.deepEqual(diffTokens([], []), []);
+});
+
+test("diffTokens gives up when the changed region is too large", () => {
+  const side = Math.ceil(Math.sqrt(MAX_DIFF_CELLS));
+  const a = Array.from({ length: side }, (_, i) => `a${i}`);
+  const b = Array.from({ length: side }, (_, i) => `b${i}`);
+  assert.equal(diffTokens(a, b), null);
+});
+
+test("diffTokens only sizes the changed region, not the shared prefix and suffix", () => {
+  const shared = Array.from({ length: MAX_DIFF_CELLS }, (_, i) => `s${i}`);
+  const ops = diffTokens([...shared, "old"], [...shared, "new"]);
+  assert.equal(ops.length, 3);
+  assert.deepEqual(ops.slice(1), [
+    { type: "removed", tokens: ["old"] },
+    { type: "added", tokens: ["new"] },
+  ]);
+});
+
+test("diffSopRevisions diffs content by line", () => {
+  const from = { revision: 1, title: "Intake", dept: "Ops", content: "wash hands\nwear gloves\nlog sample" };
+  const to = { revision: 2, title: "Intake v2", dept: "Ops", content: "wash hands\nwear mask\nwear gloves" };
+
+  assert.deepEqual(diffSopRevisions(from, to), {
+    mode: "line",
+    from: 1,
+    to: 2,
+    titleChanged: true,
+    deptChanged: false,
+    added: 1,
+    removed: 1,
+    hunks: [
+      { type: "equal", value: "wash hands" },
+      { type: "added", value: "wear mask" },
+      { type: "equal", value: "wear gloves" },
+      { type: "removed", value: "log sample" },
+    ],
+  });
+});
+
+test("diffSopRevisions counts words, not whitespace, in word mode", () => {
+  const diff = diffSopRevisions(
+    { revision: 1, title: "T", dept: "D", content: "keep the door shut" },
+    { revision: 2, title: "T", dept: "D", content: "keep the fire door shut" },
+    "word"
+  );
+  assert.equal(diff.added, 1);
+  assert.equal(diff.removed, 0);
+  assert.equal(diff.hunks.map((h) => h.value).join(""), "keep the fire door shut");
+  assert.deepEqual(
+    diff.hunks.filter((h) => h.type === "added").map((h) => h.value.trim()),
+    ["fire"]
+  );
+});
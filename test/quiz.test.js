@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { publicQuiz, validateQuiz, validateQuizSettings, gradeQuiz } from "../lib/quiz.js";
+
+const video = {
+  passMark: 50,
+  quiz: [
+    { _id: "q1", question: "2 + 2?", options: ["3", "4"], correct: "4" },
+    { _id: "q2", question: "Capital of France?", options: ["Paris", "Rome"], correct: "Paris" },
+  ],
+};
+
+test("publicQuiz leaves out the correct answers", () => {
+  assert.deepEqual(publicQuiz(video), [
+    { _id: "q1", question: "2 + 2?", options: ["3", "4"] },
+    { _id: "q2", question: "Capital of France?", options: ["Paris", "Rome"] },
+  ]);
+  assert.deepEqual(publicQuiz({}), []);
+});
+
+test("validateQuiz rejects malformed questions", () => {
+  assert.equal(validateQuiz(video.quiz), null);
+  assert.equal(validateQuiz("nope"), "Quiz must be an array");
+  assert.equal(validateQuiz([{ options: ["a", "b"], correct: "a" }]), "Question 1 is missing its text");
+  assert.equal(validateQuiz([{ question: "?", options: ["a"], correct: "a" }]), "Question 1 needs at least two options");
+  assert.equal(
+    validateQuiz([{ question: "?", options: ["a", "b"], correct: "c" }]),
+    "Question 1: correct answer must be one of the options"
+  );
+});
+
+test("validateQuizSettings checks pass mark and attempt limits", () => {
+  assert.equal(validateQuizSettings({}), null);
+  assert.equal(validateQuizSettings({ passMark: 80, maxAttempts: 0 }), null);
+  assert.equal(validateQuizSettings({ passMark: 101 }), "passMark must be between 0 and 100");
+  assert.equal(validateQuizSettings({ passMark: "80" }), "passMark must be between 0 and 100");
+  assert.equal(validateQuizSettings({ maxAttempts: 1.5 }), "maxAttempts must be 0 (unlimited) or more");
+});
+
+test("gradeQuiz grades answers given by question id", () => {
+  const result = gradeQuiz(video, [
+    { questionId: "q2", answer: " Paris " },
+    { questionId: "q1", answer: "3" },
+  ]);
+  assert.equal(result.correctCount, 1);
+  assert.equal(result.totalQuestions, 2);
+  assert.equal(result.score, 50);
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.answers, [
+    { questionId: "q1", answer: "3", correct: false },
+    { questionId: "q2", answer: " Paris ", correct: true },
+  ]);
+});
+
+test("gradeQuiz grades answers given in question order", () => {
+  const result = gradeQuiz(video, ["4", "Paris"]);
+  assert.equal(result.score, 100);
+  assert.equal(result.passed, true);
+});
+
+test("gradeQuiz treats missing answers as wrong and uses the default pass mark", () => {
+  const result = gradeQuiz({ quiz: video.quiz }, ["4"]);
+  assert.equal(result.score, 50);
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.answers[1], { questionId: "q2", answer: null, correct: false });
+});
+
+test("gradeQuiz scores an empty quiz as 0", () => {
+  assert.deepEqual(gradeQuiz({ quiz: [] }), {
+    answers: [],
+    correctCount: 0,
+    totalQuestions: 0,
+    score: 0,
+    passed: false,
+  });
+});
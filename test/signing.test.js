@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hmacHex, signatureMatches, certificatePayload, fileKeyPayload } from "../lib/signing.js";
+
+const SECRET = "test-secret";
+
+const cert = {
+  certificateId: "AB12-CD34-EF56-7890",
+  orgId: "org-1",
+  organizationName: "Acme",
+  employeeId: "emp-1",
+  employeeName: "Ada Lovelace",
+  contentType: "training",
+  contentId: "vid-1",
+  contentTitle: "Forklift safety",
+  revision: 3,
+  issuedAt: new Date("2024-05-01T10:00:00Z"),
+};
+
+const sign = (c, secret = SECRET) => hmacHex(secret, certificatePayload(c));
+
+test("hmacHex is a stable sha256 hex digest", () => {
+  const sig = hmacHex(SECRET, "payload");
+  assert.match(sig, /^[0-9a-f]{64}$/);
+  assert.equal(hmacHex(SECRET, "payload"), sig);
+  assert.notEqual(hmacHex("other-secret", "payload"), sig);
+});
+
+test("signatureMatches accepts only the signature for the same payload and secret", () => {
+  const sig = hmacHex(SECRET, "payload");
+  assert.equal(signatureMatches(SECRET, "payload", sig), true);
+  assert.equal(signatureMatches(SECRET, "payload!", sig), false);
+  assert.equal(signatureMatches("other-secret", "payload", sig), false);
+});
+
+test("signatureMatches rejects missing, truncated and non-hex signatures", () => {
+  const sig = hmacHex(SECRET, "payload");
+  assert.equal(signatureMatches(SECRET, "payload", undefined), false);
+  assert.equal(signatureMatches(SECRET, "payload", ""), false);
+  assert.equal(signatureMatches(SECRET, "payload", sig.slice(0, 32)), false);
+  assert.equal(signatureMatches(SECRET, "payload", "zz".repeat(32)), false);
+});
+
+test("certificate signatures verify for the issued fields", () => {
+  assert.equal(signatureMatches(SECRET, certificatePayload(cert), sign(cert)), true);
+});
+
+test("changing any signed certificate field invalidates the signature", () => {
+  const sig = sign(cert);
+  for (const [field, value] of Object.entries({
+    employeeName: "Mallory",
+    contentTitle: "Something else",
+    revision: 4,
+    issuedAt: new Date("2024-05-02T10:00:00Z"),
+  })) {
+    assert.equal(signatureMatches(SECRET, certificatePayload({ ...cert, [field]: value }), sig), false, field);
+  }
+});
+
+test("certificatePayload normalises ids and dates", () => {
+  const fromStrings = { ...cert, issuedAt: "2024-05-01T10:00:00.000Z" };
+  const fromObjects = { ...cert, employeeId: { toString: () => "emp-1" }, contentId: { toString: () => "vid-1" } };
+  assert.equal(certificatePayload(fromStrings), certificatePayload(cert));
+  assert.equal(certificatePayload(fromObjects), certificatePayload(cert));
+  assert.equal(JSON.parse(certificatePayload({ ...cert, revision: undefined }))[8], null);
+});
+
+test("file signatures are bound to both the key and the expiry", () => {
+  const sig = hmacHex(SECRET, fileKeyPayload("org-1/uploads/a.pdf", "1700000000"));
+  assert.equal(signatureMatches(SECRET, fileKeyPayload("org-1/uploads/a.pdf", "1700000000"), sig), true);
+  assert.equal(signatureMatches(SECRET, fileKeyPayload("org-1/uploads/a.pdf", "1800000000"), sig), false);
+  assert.equal(signatureMatches(SECRET, fileKeyPayload("org-2/uploads/a.pdf", "1700000000"), sig), false);
+  assert.equal(signatureMatches(SECRET, fileKeyPayload("org-1/uploads/a.pdf", "stored"), sig), false);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateWatchRequirement, mergeSegments, watchedSecondsOf } from "../lib/watch.js";
+
+test("mergeSegments joins overlapping and touching segments", () => {
+  assert.deepEqual(
+    mergeSegments(
+      [
+        { start: 30, end: 40 },
+        { start: 0, end: 10 },
+        { start: 5, end: 20 },
+        { start: 20, end: 25 },
+      ],
+      100
+    ),
+    [
+      { start: 0, end: 25 },
+      { start: 30, end: 40 },
+    ]
+  );
+});
+
+test("mergeSegments clamps to the video length and drops empty segments", () => {
+  assert.deepEqual(
+    mergeSegments(
+      [
+        { start: -5, end: 3 },
+        { start: 8, end: 8 },
+        { start: 90, end: 130 },
+        { start: 120, end: 140 },
+      ],
+      100
+    ),
+    [
+      { start: 0, end: 3 },
+      { start: 90, end: 100 },
+    ]
+  );
+});
+
+test("mergeSegments does not clamp the end when the length is unknown", () => {
+  assert.deepEqual(mergeSegments([{ start: 50, end: 500 }], null), [{ start: 50, end: 500 }]);
+});
+
+test("mergeSegments does not mutate its input", () => {
+  const input = [
+    { start: 0, end: 10 },
+    { start: 5, end: 15 },
+  ];
+  mergeSegments(input, 100);
+  assert.deepEqual(input, [
+    { start: 0, end: 10 },
+    { start: 5, end: 15 },
+  ]);
+});
+
+test("rewatching the same part does not add watched seconds", () => {
+  let segments = [];
+  for (let i = 0; i < 3; i++) segments = mergeSegments([...segments, { start: 0, end: 30 }], 60);
+  assert.equal(watchedSecondsOf(segments), 30);
+
+  segments = mergeSegments([...segments, { start: 20, end: 45 }], 60);
+  assert.equal(watchedSecondsOf(segments), 45);
+  assert.equal(watchedSecondsOf([]), 0);
+});
+
+test("validateWatchRequirement checks the length and ratio", () => {
+  assert.equal(validateWatchRequirement({}), null);
+  assert.equal(validateWatchRequirement({ durationSec: null, minWatchRatio: 0 }), null);
+  assert.equal(validateWatchRequirement({ durationSec: 120, minWatchRatio: 1 }), null);
+  assert.equal(validateWatchRequirement({ durationSec: 0 }), "durationSec must be a positive number");
+  assert.equal(validateWatchRequirement({ durationSec: "120" }), "durationSec must be a positive number");
+  assert.equal(validateWatchRequirement({ minWatchRatio: 1.2 }), "minWatchRatio must be between 0 and 1");
+});